@@ -0,0 +1,202 @@
+/**
+ * ======================================================================
+ * ERROR ALERTS FOR ADMINISTRATORS
+ * ======================================================================
+ * When a run finishes (finishLogRun_, see Logging.js) administrators are
+ * alerted by email and/or a chat webhook if
+ *   - the run logged ALERT_ERROR_THRESHOLD or more errors (default 5), or
+ *   - errors naming the same file (context.fileId) were logged in
+ *     ALERT_FILE_FAILURE_THRESHOLD separate runs (default 3) within
+ *     ALERT_FILE_FAILURE_WINDOW_DAYS. When several files reach the threshold
+ *     in one run they are reported in a single alert, or
+ *   - the run could not start because the configuration is invalid (the
+ *     recipients are then read from the raw Script Properties).
+ *
+ * Alerts are de-duplicated by key ("errors:<entry point>", "file:<file ID>",
+ * "files:<entry point>", "config"): an alert with a key already sent within
+ * ALERT_DEDUP_MINUTES (default 360) is only counted, and the count is
+ * mentioned in the next alert that does go out. Alert state lives in the
+ * ALERT_STATE script property.
+ *
+ * Optional Script Properties (validated by getConfig_):
+ *   ALERT_EMAILS        comma-separated recipients; defaults to ADMIN_EMAIL
+ *   ALERT_WEBHOOK_URL   Google Chat or Slack incoming webhook (posted { "text": ... })
+ *   ALERT_ERROR_THRESHOLD, ALERT_FILE_FAILURE_THRESHOLD, ALERT_DEDUP_MINUTES
+ */
+
+const ALERT_STATE_PROP = "ALERT_STATE";
+const ALERT_FILE_FAILURE_WINDOW_DAYS = 7;
+const ALERT_MAX_TRACKED_FILES = 100;
+const ALERT_MAX_FILE_ALERTS_PER_RUN = 3;
+const ALERT_MAX_ERROR_LINES = 10;
+
+/**
+ * Reads the alert state: { sent: { key: { at, suppressed } }, files: { fileId: { count, last, message } } }.
+ */
+function loadAlertState_() {
+  const raw = Services.properties.getScriptProperties().getProperty(ALERT_STATE_PROP);
+  try {
+    const state = raw ? JSON.parse(raw) : {};
+    return { sent: state.sent || {}, files: state.files || {} };
+  } catch (e) {
+    logWarn_("Discarding unreadable alert state.", { error: e });
+    return { sent: {}, files: {} };
+  }
+}
+
+/**
+ * Saves the alert state, dropping expired entries so the property stays small.
+ */
+function saveAlertState_(state, config) {
+  const now = Date.now();
+  const dedupMs = config.ALERT_DEDUP_MINUTES * 60 * 1000;
+  const windowMs = ALERT_FILE_FAILURE_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+  Object.keys(state.sent).forEach(key => {
+    const age = now - state.sent[key].at;
+    if (age > dedupMs && (!state.sent[key].suppressed || age > windowMs)) delete state.sent[key];
+  });
+  const files = Object.keys(state.files)
+    .filter(fileId => now - state.files[fileId].last <= windowMs)
+    .sort((a, b) => state.files[b].last - state.files[a].last)
+    .slice(0, ALERT_MAX_TRACKED_FILES);
+  const kept = {};
+  files.forEach(fileId => { kept[fileId] = state.files[fileId]; });
+  state.files = kept;
+  Services.properties.getScriptProperties().setProperty(ALERT_STATE_PROP, JSON.stringify(state));
+}
+
+/**
+ * Applies the alert rules to a finished run (see the header). Never throws.
+ */
+function evaluateRunAlerts_(run) {
+  if (run.errorCount === 0) return;
+  let config;
+  try {
+    config = getConfig_();
+  } catch (e) {
+    if (e instanceof ConfigError) alertInvalidConfig_(run, e);
+    return;
+  }
+  if (!(config.ALERT_EMAILS || config.ADMIN_EMAIL) && !config.ALERT_WEBHOOK_URL) return;
+
+  try {
+    const state = loadAlertState_();
+    const now = Date.now();
+    const windowMs = ALERT_FILE_FAILURE_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+    const entryPoint = run.entryPoint || "unknown";
+    const alerts = [];
+
+    if (run.errorCount >= config.ALERT_ERROR_THRESHOLD) {
+      alerts.push({
+        key: `errors:${entryPoint}`,
+        subject: `${run.errorCount} errors in ${entryPoint}`,
+        lines: run.errors.slice(0, ALERT_MAX_ERROR_LINES)
+          .concat(run.errors.length > ALERT_MAX_ERROR_LINES ? [`... and ${run.errors.length - ALERT_MAX_ERROR_LINES} more`] : [])
+      });
+    }
+
+    const repeated = [];
+    run.failedFiles.forEach((message, fileId) => {
+      const previous = state.files[fileId];
+      const tracked = previous && now - previous.last <= windowMs ? previous : { count: 0 };
+      tracked.count++;
+      tracked.last = now;
+      tracked.message = message.substring(0, 300);
+      state.files[fileId] = tracked;
+      if (tracked.count >= config.ALERT_FILE_FAILURE_THRESHOLD) repeated.push(fileId);
+    });
+    if (repeated.length > ALERT_MAX_FILE_ALERTS_PER_RUN) {
+      alerts.push({
+        key: `files:${entryPoint}`,
+        subject: `${repeated.length} files keep failing in ${entryPoint}`,
+        lines: repeated.map(fileId => `${fileId} (${state.files[fileId].count} runs): ${state.files[fileId].message}`)
+      });
+    } else {
+      repeated.forEach(fileId => alerts.push({
+        key: `file:${fileId}`,
+        subject: `File ${fileId} failed in ${state.files[fileId].count} runs`,
+        lines: [`Last error: ${state.files[fileId].message}`, `https://drive.google.com/file/d/${fileId}/view`]
+      }));
+    }
+
+    alerts.forEach(alert => sendAlertOnce_(alert, state, config, run));
+    saveAlertState_(state, config);
+  } catch (e) {
+    logWarn_("Could not evaluate alert rules.", { error: e, runId: run.runId });
+  }
+}
+
+/**
+ * Alerts that `run` could not start because of `error` (a ConfigError), using
+ * the raw recipient properties and default settings. Never throws.
+ */
+function alertInvalidConfig_(run, error) {
+  const props = Services.properties.getScriptProperties();
+  const raw = name => String(props.getProperty(name) || "").trim();
+  const config = {
+    ALERT_EMAILS: raw("ALERT_EMAILS"), ADMIN_EMAIL: raw("ADMIN_EMAIL"), ALERT_WEBHOOK_URL: raw("ALERT_WEBHOOK_URL"),
+    ALERT_DEDUP_MINUTES: CONFIG_PROPERTIES.ALERT_DEDUP_MINUTES.default
+  };
+  if (!(config.ALERT_EMAILS || config.ADMIN_EMAIL) && !config.ALERT_WEBHOOK_URL) return;
+  try {
+    const state = loadAlertState_();
+    sendAlertOnce_({
+      key: "config",
+      subject: `${run.entryPoint || "A run"} could not start: invalid configuration`,
+      lines: error.problems.concat(["", "Run validateConfig() in the script editor for details."])
+    }, state, config, run);
+    saveAlertState_(state, config);
+  } catch (e) {
+    logWarn_("Could not send the configuration alert.", { error: e, runId: run.runId });
+  }
+}
+
+/**
+ * Sends an alert unless one with the same key went out within ALERT_DEDUP_MINUTES.
+ */
+function sendAlertOnce_(alert, state, config, run) {
+  const now = Date.now();
+  const previous = state.sent[alert.key];
+  if (previous && now - previous.at < config.ALERT_DEDUP_MINUTES * 60 * 1000) {
+    previous.suppressed = (previous.suppressed || 0) + 1;
+    logInfo_("Alert suppressed as a duplicate.", { alertKey: alert.key, suppressed: previous.suppressed });
+    return;
+  }
+
+  const lines = alert.lines.slice();
+  if (previous && previous.suppressed) {
+    lines.push("", `${previous.suppressed} similar alert(s) were suppressed since ${new Date(previous.at).toISOString()}.`);
+  }
+  lines.push("", `Run ID: ${run.runId} (filter the "${LOG_SHEET_NAME}" tab or Cloud Logging by jsonPayload.runId)`);
+  deliverAlert_(`EduScribe: ${alert.subject}`, lines.join("\n"), config);
+  state.sent[alert.key] = { at: now, suppressed: 0 };
+}
+
+/**
+ * Emails ALERT_EMAILS (or ADMIN_EMAIL) and posts to ALERT_WEBHOOK_URL, as configured.
+ */
+function deliverAlert_(subject, text, config) {
+  const recipients = config.ALERT_EMAILS || config.ADMIN_EMAIL;
+  if (recipients) {
+    try {
+      Services.mail.sendEmail({ to: recipients, subject, body: text });
+      logInfo_("Alert emailed.", { subject, recipients });
+    } catch (e) {
+      logWarn_("Could not email alert.", { subject, error: e });
+    }
+  }
+  if (config.ALERT_WEBHOOK_URL) {
+    try {
+      const response = Services.http.fetch(config.ALERT_WEBHOOK_URL, {
+        method: "post",
+        contentType: "application/json",
+        payload: JSON.stringify({ text: `*${subject}*\n${text}` }),
+        muteHttpExceptions: true
+      });
+      const status = response.getResponseCode();
+      if (status >= 300) logWarn_("Alert webhook rejected the post.", { subject, status });
+    } catch (e) {
+      logWarn_("Could not post alert to the webhook.", { subject, error: e });
+    }
+  }
+}
@@ -0,0 +1,80 @@
+/**
+ * ======================================================================
+ * AUDIT LOG
+ * ======================================================================
+ * recordAudit_() appends one row per access to or change of student data to
+ * the "Audit_Log" tab of the tracking spreadsheet:
+ *   rename            a recording renamed in its monitored folder
+ *   cloud_run_submit  a recording accepted by Cloud Run
+ *   email_sent / email_queued / email_failed   student emails (see MailQueue.js)
+ *   assign            a homework prompt written and ledger row added
+ *   revoke            a homework link revoked from the dashboard
+ *   portal_open / portal_submit / portal_rejected   homework token use
+ *   trash             a file trashed by the retention policy or forgetStudent
+ *   forget_student    a student's data purged (see DataRetention.js)
+ * Rows are only ever appended; forgetStudent only masks a forgotten student's
+ * email and name in them. Targets are Drive file IDs, homework IDs or
+ * Student_IDs rather than names or email addresses, so the log can outlive a
+ * forgotten student. The tab is created with a warning-only protection that
+ * asks editors to confirm before changing it.
+ *
+ * Writing an audit row never fails the action being audited; problems are logged.
+ */
+
+const AUDIT_LOG_SHEET_NAME = "Audit_Log";
+const AUDIT_LOG_HEADERS = ["Timestamp", "Actor", "Action", "Target", "Student ID", "Details"];
+
+let cachedAuditSheet = null;
+let cachedAuditSheetSource = null;
+
+/**
+ * Returns the Audit_Log sheet, creating and protecting it if needed.
+ * Cached per execution (and per Services.sheets, like getConfig_).
+ */
+function getAuditLogSheet_() {
+  const source = Services.sheets;
+  if (cachedAuditSheet && cachedAuditSheetSource === source) return cachedAuditSheet;
+
+  const ss = source.openById(getConfig_().TRACKING_SHEET_ID);
+  let sheet = ss.getSheetByName(AUDIT_LOG_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(AUDIT_LOG_SHEET_NAME);
+    sheet.appendRow(AUDIT_LOG_HEADERS);
+    try {
+      sheet.protect().setDescription("Append-only audit log; written by EduScribe.").setWarningOnly(true);
+    } catch (e) {
+      logWarn_(`Could not protect "${AUDIT_LOG_SHEET_NAME}".`, { error: e });
+    }
+    Services.sheets.flush();
+  }
+  cachedAuditSheet = sheet;
+  cachedAuditSheetSource = source;
+  return sheet;
+}
+
+/**
+ * The dashboard viewer or signed-in user running this execution, or "system"
+ * for triggers and anonymous web app calls.
+ */
+function auditActor_() {
+  if (currentDashboardViewer) return currentDashboardViewer;
+  try {
+    return String(Session.getActiveUser().getEmail() || "").trim() || "system";
+  } catch (e) {
+    return "system";
+  }
+}
+
+/**
+ * Appends an audit row. `details` may be a string or an object (stored as JSON).
+ */
+function recordAudit_(action, target, details, studentId) {
+  try {
+    getAuditLogSheet_().appendRow([
+      new Date(), auditActor_(), action, String(target || ""), String(studentId || ""),
+      typeof details === "string" ? details : JSON.stringify(details || {})
+    ]);
+  } catch (e) {
+    logError_(`Could not record audit action ${action}.`, { target, error: e });
+  }
+}
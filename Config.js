@@ -0,0 +1,360 @@
+/**
+ * ======================================================================
+ * CONFIGURATION - SCRIPT PROPERTIES, VALIDATION AND SETUP
+ * ======================================================================
+ * Every Script Property the project reads is declared in CONFIG_PROPERTIES
+ * and read through getConfig_(), which parses all of them in one pass and
+ * throws a ConfigError listing every problem it found. Trigger and web app
+ * entry points call loadConfigOrLog_() first, so a misconfigured project
+ * stops with one clear message instead of failing halfway through a run.
+ *
+ * From the editor:
+ *   validateConfig()  logs the effective configuration or what is wrong
+ *   setup()           creates missing sheets and header columns and installs
+ *                     the triggers in TRIGGER_SCHEDULE
+ *
+ * Run state kept in Script Properties (TRANSCRIPT_SCAN_CURSOR, CONTINUATION_*)
+ * is not configuration and is read where it is used.
+ */
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n- ${problems.join("\n- ")}`);
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+/* --- Script Properties: type, default and whether the project can run without it --- */
+const CONFIG_PROPERTIES = {
+  FOLDER_ID                   : { type: "id",     description: "Drive folder for new Meet recordings when Monitored_Folders has no rows" },
+  TRACKING_SHEET_ID           : { type: "id",     required: true, description: "spreadsheet holding the Jobs tab" },
+  CLOUD_RUN_URL               : { type: "url",    required: true, description: "URL of the Cloud Run service" },
+  STUDENT_ROSTER_ID           : { type: "id",     required: true, description: "spreadsheet holding Current_Students and the homework ledger" },
+  HOMEWORK_SHEET_NAME         : { type: "string", required: true, description: "name of the homework ledger tab, e.g. Homework_Push" },
+  HOMEWORK_PORTAL_BASEURL     : { type: "url",    trimSlash: true, description: "homework portal base URL; homework emails are skipped without it" },
+  PROMPT_TEMPLATES_SHEET_NAME : { type: "string", default: "Prompt_Templates" },
+  HOMEWORK_QUESTION_COUNT     : { type: "int",    min: 1, max: 50, default: 10 },
+  HOMEWORK_TOKEN_TTL_DAYS     : { type: "int",    min: 1, default: 14 },
+  HOMEWORK_REMINDER_DAYS      : { type: "daysList", default: [2, 5] },
+  HOMEWORK_BATCHING           : { type: "batching", default: "per_session" },
+  RUN_TIME_BUDGET_SECONDS     : { type: "int",    min: 30, max: 340, default: 270 },
+  RETRY_MAX_ATTEMPTS          : { type: "int",    min: 1, default: 5 },
+  RETRY_BASE_MINUTES          : { type: "int",    min: 1, default: 15 },
+  RECORDING_FILING_MODE       : { type: "enum",   values: ["move", "shortcut", "off"], default: "move" },
+  RECORDING_FOLDER_LAYOUT     : { type: "enum",   values: ["dated", "recordings", "flat"], default: "dated" },
+  MEET_TRANSCRIPT_MODE        : { type: "enum",   values: ["off", "pair", "convert"], default: "pair" },
+  MEET_TRANSCRIPT_WAIT_MINUTES: { type: "int",    min: 0, max: 1440, default: 30 },
+  RETENTION_RECORDING_DAYS    : { type: "int",    min: 1, description: "days before transcribed recordings are trashed; blank keeps them" },
+  RETENTION_TRANSCRIPT_DAYS   : { type: "int",    min: 1, description: "days before assigned transcripts are trashed; blank keeps them" },
+  RETENTION_PROMPT_DAYS       : { type: "int",    min: 1, description: "days before closed homework prompts are trashed; blank keeps them" },
+  RETENTION_CHATLOG_DAYS      : { type: "int",    min: 1, description: "days before submitted chat logs are trashed; blank keeps them" },
+  ADMIN_EMAIL                 : { type: "email",  description: "receives dead-letter notifications" },
+  LOG_LEVEL                   : { type: "enum",   values: ["debug", "info", "warn", "error"], default: "info" },
+  LOG_SHEET_MAX_ROWS          : { type: "int",    min: 100, max: 100000, default: 5000 },
+  ALERT_EMAILS                : { type: "emailList", description: "administrators alerted about errors; defaults to ADMIN_EMAIL" },
+  ALERT_WEBHOOK_URL           : { type: "url",    secret: true, description: "Google Chat or Slack incoming webhook for error alerts" },
+  ALERT_ERROR_THRESHOLD       : { type: "int",    min: 1, default: 5 },
+  ALERT_FILE_FAILURE_THRESHOLD: { type: "int",    min: 2, default: 3 },
+  ALERT_DEDUP_MINUTES         : { type: "int",    min: 5, default: 360 },
+  DASHBOARD_ALLOWED_EMAILS    : { type: "emailList", description: "teacher accounts allowed to open the dashboard" },
+  TEACHER_NAMES               : { type: "list",   default: [], description: "names teachers appear under in transcripts" },
+  WEEKLY_DIGEST_RECIPIENTS    : { type: "emailList", description: "teachers who receive the weekly digest; defaults to ADMIN_EMAIL" },
+  EMAIL_DEFAULT_LANGUAGE      : { type: "enum",   values: ["en", "es"], default: "en", description: "student email language when Preferred_Language is blank or unknown" },
+  EMAIL_REPLY_TO              : { type: "email",  description: "reply-to address for student emails" },
+  EMAIL_SENDER_NAME           : { type: "string", description: "sender display name for student emails" },
+  HOMEWORK_EMAIL_CC           : { type: "emailList", description: "teacher addresses copied on homework emails" },
+  HOMEWORK_EMAIL_BCC          : { type: "emailList", description: "teacher addresses blind-copied on homework emails" },
+  CLOUD_RUN_AUTH              : { type: "enum",   values: ["service_account", "script_identity", "none"], default: "script_identity" },
+  CLOUD_RUN_AUDIENCE          : { type: "url",    description: "ID token audience; defaults to the origin of CLOUD_RUN_URL" },
+  REQUEST_SIGNING_SECRET      : { type: "secret", minLength: 32, description: "shared HMAC secret for Cloud Run requests and callbacks" },
+  CLIENT_EMAIL                : { type: "email",  description: "service account that calls Cloud Run" },
+  PRIVATE_KEY                 : { type: "secret", description: "service account private key" }
+};
+
+/* --- Properties that are no longer read; validateConfig() warns if they are still set --- */
+const RETIRED_CONFIG_PROPERTIES = {
+  ROSTER_DRIVE_FOLDER_ID: "the roster's Drive_Folder_ID column is now found by its header"
+};
+
+/* --- Time-driven triggers installed by setup(), at the script's time zone hours --- */
+const TRIGGER_SCHEDULE = [
+  { handler: "processNewRecordings_",        everyMinutes: 10 },
+  { handler: "processCompletedTranscripts_", everyHours: 1 },
+  { handler: "sendHomeworkReminders_",       atHour: 8 },
+  { handler: "applyRetentionPolicy_",        atHour: 2 },
+  { handler: "sendWeeklyDigest_",            weekDay: "MONDAY", atHour: 7 }
+];
+
+let cachedConfig = null;
+let cachedConfigSource = null;
+
+/**
+ * Returns the parsed configuration, keyed by property name. Throws a
+ * ConfigError if any property is missing or invalid. Parsed once per
+ * execution (and again when Services.properties is swapped, e.g. in tests).
+ */
+function getConfig_() {
+  const source = Services.properties;
+  if (cachedConfig && cachedConfigSource === source) return cachedConfig;
+
+  const raw = source.getScriptProperties().getProperties();
+  const problems = [];
+  const config = {};
+  Object.keys(CONFIG_PROPERTIES).forEach(name => {
+    config[name] = parseConfigValue_(name, CONFIG_PROPERTIES[name], raw[name], problems);
+  });
+  checkConfigDependencies_(config, problems);
+  if (problems.length > 0) throw new ConfigError(problems);
+
+  cachedConfig = Object.freeze(config);
+  cachedConfigSource = source;
+  return cachedConfig;
+}
+
+/**
+ * Entry-point guard: returns the configuration, or logs the problems and returns null.
+ */
+function loadConfigOrLog_(jobName) {
+  try {
+    return getConfig_();
+  } catch (e) {
+    if (!(e instanceof ConfigError)) throw e;
+    logError_(`${jobName} not started. ${e.message}`, { problems: e.problems });
+    return null;
+  }
+}
+
+/**
+ * Rules that span several properties, plus values derived from others.
+ */
+function checkConfigDependencies_(config, problems) {
+  if (!config.CLOUD_RUN_AUDIENCE && config.CLOUD_RUN_URL) {
+    config.CLOUD_RUN_AUDIENCE = urlOrigin_(config.CLOUD_RUN_URL);
+  }
+}
+
+/**
+ * "https://host[:port]" part of a URL, or null.
+ */
+function urlOrigin_(url) {
+  const origin = String(url || "").match(/^https?:\/\/[^/?#]+/i);
+  return origin ? origin[0] : null;
+}
+
+function parseConfigValue_(name, spec, raw, problems) {
+  const value = raw === null || raw === undefined ? "" : String(raw).trim();
+  const fallback = spec.default !== undefined ? spec.default : null;
+  if (!value) {
+    if (spec.required) problems.push(`${name} is not set (${spec.description}).`);
+    return fallback;
+  }
+
+  switch (spec.type) {
+    case "id":
+      if (!/^[A-Za-z0-9_-]{10,}$/.test(value)) problems.push(`${name} does not look like a Drive ID: "${value}".`);
+      return value;
+    case "url":
+      if (!/^https?:\/\/\S+$/i.test(value)) problems.push(`${name} must be an http(s) URL: "${value}".`);
+      return spec.trimSlash ? value.replace(/\/+$/, "") : value;
+    case "email":
+      if (!/^[^\s@,]+@[^\s@,]+\.[^\s@,]+$/.test(value)) problems.push(`${name} is not an email address: "${value}".`);
+      return value;
+    case "list":
+      return value.split(/[,;]/).map(item => item.trim()).filter(Boolean);
+    case "emailList": {
+      const emails = value.split(/[,;]/).map(e => e.trim()).filter(Boolean);
+      const invalid = emails.filter(e => !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(e));
+      if (invalid.length > 0) problems.push(`${name} must be a comma-separated list of email addresses; not valid: ${invalid.join(", ")}.`);
+      return emails.join(",");
+    }
+    case "int": {
+      const number = Number(value);
+      const inRange = Number.isInteger(number) &&
+        (spec.min === undefined || number >= spec.min) && (spec.max === undefined || number <= spec.max);
+      if (!inRange) {
+        problems.push(`${name} must be a whole number${spec.min !== undefined ? ` >= ${spec.min}` : ""}${spec.max !== undefined ? ` and <= ${spec.max}` : ""}: "${value}".`);
+        return fallback;
+      }
+      return number;
+    }
+    case "daysList": {
+      const days = value.split(",").map(d => Number(d.trim()));
+      if (days.some(d => !(d > 0))) {
+        problems.push(`${name} must be a comma-separated list of positive day counts, e.g. "2,5": "${value}".`);
+        return fallback;
+      }
+      return days.sort((a, b) => a - b);
+    }
+    case "enum":
+      if (spec.values.indexOf(value.toLowerCase()) === -1) {
+        problems.push(`${name} must be one of ${spec.values.join(" | ")}: "${value}".`);
+        return fallback;
+      }
+      return value.toLowerCase();
+    case "secret":
+      if (spec.minLength && value.length < spec.minLength) problems.push(`${name} must be at least ${spec.minLength} characters long.`);
+      return value;
+    case "batching":
+      if (!/^(per_session|weekly|min_sessions\s*[:= ]\s*\d+)$/i.test(value)) {
+        problems.push(`${name} must be per_session, weekly or min_sessions:N: "${value}".`);
+        return fallback;
+      }
+      return value;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Logs the effective configuration (secrets masked), or every problem found.
+ */
+function validateConfig() {
+  requireScriptEditor_("validateConfig");
+  const raw = Services.properties.getScriptProperties().getProperties();
+  Object.keys(RETIRED_CONFIG_PROPERTIES).forEach(name => {
+    if (raw[name]) logWarn_(`${name} is no longer used (${RETIRED_CONFIG_PROPERTIES[name]}); it can be deleted.`);
+  });
+
+  let config;
+  try {
+    config = getConfig_();
+  } catch (e) {
+    if (!(e instanceof ConfigError)) throw e;
+    logError_(e.message, { problems: e.problems });
+    return false;
+  }
+  Object.keys(CONFIG_PROPERTIES).forEach(name => {
+    const value = config[name];
+    const secret = CONFIG_PROPERTIES[name].type === "secret" || CONFIG_PROPERTIES[name].secret;
+    const shown = secret && value ? "(set)" : JSON.stringify(value);
+    logInfo_(`${name} = ${shown}${raw[name] ? "" : " (default)"}`);
+  });
+  if (config.CLOUD_RUN_AUTH === "service_account" && (!config.CLIENT_EMAIL || !config.PRIVATE_KEY)) {
+    logWarn_(`CLOUD_RUN_AUTH is "service_account" but CLIENT_EMAIL or PRIVATE_KEY is not set; Cloud Run calls will fail.`);
+  }
+  if (!config.REQUEST_SIGNING_SECRET) {
+    logWarn_("REQUEST_SIGNING_SECRET is not set; Cloud Run job events posted to the web app will be rejected.");
+  }
+  logInfo_("Configuration is valid.");
+  return true;
+}
+
+/* ==================================================================== */
+/*  HEADER-DRIVEN COLUMN MAPPING                                        */
+/* ==================================================================== */
+
+/**
+ * Header text reduced to lowercase letters and digits, so "Student Email",
+ * "student_email" and "STUDENT-EMAIL" all map to the same column.
+ */
+function normalizeHeaderKey_(header) {
+  return String(header || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * Maps each schema field to its 1-based column (0 when absent).
+ * `schema` is { field: { header, aliases } }; aliases are other accepted header texts.
+ */
+function resolveColumns_(headerRow, schema) {
+  const keys = headerRow.map(normalizeHeaderKey_);
+  const cols = {};
+  Object.keys(schema).forEach(field => {
+    const names = [schema[field].header].concat(schema[field].aliases || []);
+    const idx = names.map(normalizeHeaderKey_).map(key => keys.indexOf(key)).find(i => i !== -1);
+    cols[field] = idx === undefined ? 0 : idx + 1;
+  });
+  return cols;
+}
+
+/**
+ * Appends header cells for the schema fields missing from row 1 and returns
+ * the header names that were added. `fields` limits which fields are added.
+ */
+function addMissingHeaders_(sheet, schema, fields) {
+  const lastCol = sheet.getLastColumn();
+  const headerRow = lastCol > 0 ? sheet.getRange(1, 1, 1, lastCol).getValues()[0] : [];
+  const cols = resolveColumns_(headerRow, schema);
+  const missing = (fields || Object.keys(schema)).filter(field => !cols[field]).map(field => schema[field].header);
+  if (missing.length > 0) {
+    sheet.getRange(1, lastCol + 1, 1, missing.length).setValues([missing]);
+    Services.sheets.flush();
+  }
+  return missing;
+}
+
+/* ==================================================================== */
+/*  SETUP                                                               */
+/* ==================================================================== */
+
+/**
+ * Creates any missing sheets and header columns, and installs the triggers.
+ * Safe to run repeatedly; existing data and column order are never changed.
+ */
+function setup() {
+  requireScriptEditor_("setup");
+  const config = loadConfigOrLog_("setup");
+  if (!config) return;
+
+  const trackingSS = Services.sheets.openById(config.TRACKING_SHEET_ID);
+  getJobsSheet_(trackingSS);
+  loadReviewQueue_(trackingSS);
+  loadEmailQueue_(trackingSS);
+  getMonitoredFoldersSheet_(trackingSS);
+  getAuditLogSheet_();
+  logInfo_(`Tracking spreadsheet: "${JOBS_SHEET_NAME}", "${REVIEW_SHEET_NAME}", "${EMAIL_QUEUE_SHEET_NAME}", "${MONITORED_FOLDERS_SHEET_NAME}" and "${AUDIT_LOG_SHEET_NAME}" ready.`);
+
+  const rosterSS = Services.sheets.openById(config.STUDENT_ROSTER_ID);
+  const rosterSheet = rosterSS.getSheetByName(ROSTER_SHEET_NAME) || rosterSS.insertSheet(ROSTER_SHEET_NAME);
+  const rosterAdded = addMissingHeaders_(rosterSheet, ROSTER_SCHEMA);
+  logInfo_(`"${ROSTER_SHEET_NAME}" ready${rosterAdded.length ? `; added ${rosterAdded.join(", ")}` : ""}.`);
+
+  getLedgerSheet_(rosterSS, config);
+  loadTranscriptIndex_(rosterSS);
+  loadProgressSheet_(rosterSS);
+
+  const templatesName = config.PROMPT_TEMPLATES_SHEET_NAME;
+  if (!rosterSS.getSheetByName(templatesName)) {
+    rosterSS.insertSheet(templatesName).appendRow(PROMPT_TEMPLATE_HEADERS);
+    logInfo_(`Created "${templatesName}"; the built-in template is used until rows are added.`);
+  }
+  Services.sheets.flush();
+  logInfo_(`Roster spreadsheet: "${config.HOMEWORK_SHEET_NAME}", "${TRANSCRIPT_INDEX_SHEET_NAME}" and "${PROGRESS_SHEET_NAME}" ready.`);
+
+  installTriggers_();
+}
+
+/**
+ * Creates the TRIGGER_SCHEDULE triggers that do not exist yet. Triggers
+ * still pointing at a handler's old public name (before it became private)
+ * are deleted, since they can no longer run.
+ */
+function installTriggers_() {
+  const handlers = TRIGGER_SCHEDULE.map(entry => entry.handler);
+  const installed = new Set();
+  ScriptApp.getProjectTriggers().forEach(trigger => {
+    const handler = trigger.getHandlerFunction();
+    if (handlers.indexOf(handler) !== -1) {
+      installed.add(handler);
+    } else if (handlers.indexOf(`${handler}_`) !== -1) {
+      ScriptApp.deleteTrigger(trigger);
+      logInfo_(`Deleted the trigger for ${handler}; it is replaced by ${handler}_.`);
+    }
+  });
+
+  TRIGGER_SCHEDULE.forEach(entry => {
+    if (installed.has(entry.handler)) return;
+    const builder = ScriptApp.newTrigger(entry.handler).timeBased();
+    if (entry.everyMinutes) {
+      builder.everyMinutes(entry.everyMinutes);
+    } else if (entry.everyHours) {
+      builder.everyHours(entry.everyHours);
+    } else if (entry.weekDay) {
+      builder.onWeekDay(ScriptApp.WeekDay[entry.weekDay]).atHour(entry.atHour);
+    } else {
+      builder.everyDays(1).atHour(entry.atHour);
+    }
+    builder.create();
+    logInfo_(`Installed the trigger for ${entry.handler}.`);
+  });
+}
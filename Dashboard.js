@@ -0,0 +1,388 @@
+/**
+ * ======================================================================
+ * TEACHER DASHBOARD (doGet)
+ * ======================================================================
+ * The web app URL serves an HtmlService page (Dashboard.html) with:
+ *   Jobs      Jobs rows filtered by status, student or text; failed rows can
+ *             be re-submitted to Cloud Run
+ *   Students  a student's homework history and indexed transcripts; assign
+ *             homework for chosen transcripts, resend or revoke a homework link,
+ *             or forget a departed student (see DataRetention.js)
+ *   Health    the checks in HealthChecks.js
+ * The page calls the dashboard* functions below through google.script.run;
+ * every one of them re-checks access, and actions that write take the
+ * script lock so they cannot overlap a trigger run.
+ *
+ * Access is limited to DASHBOARD_ALLOWED_EMAILS (comma-separated). The web
+ * app is deployed for anonymous access (Cloud Run and the homework portal
+ * post to it), where Google does not reveal who is viewing, so teachers sign
+ * in by email: DashboardSignIn.html asks for their address and, if it is on
+ * the list, a link carrying a signed session is emailed to it. The session
+ * lasts DASHBOARD_SESSION_HOURS and every dashboard* call sends it back;
+ * removing a teacher from the list ends their access at the next call.
+ * Viewers Google does identify (the deployer's own Workspace domain) skip the
+ * email step. Sessions are signed with a random key kept in the
+ * DASHBOARD_SESSION_SECRET script property; deleting it signs everyone out.
+ *
+ * google.script.run can call any global function whose name does not end in
+ * "_", and these pages are served to anonymous visitors. So the only public
+ * functions are doGet, doPost, the dashboard* entry points below and a few
+ * maintenance functions that refuse to run outside the script editor
+ * (requireScriptEditor_ in RunControl.js). Everything else ends in "_",
+ * including the trigger handlers, which setup() installs.
+ */
+
+const DASHBOARD_JOB_LIMIT = 200;
+const DASHBOARD_RESUBMIT_STATUSES = ["cloudrun_error", "dead_letter", "transcription_failed"];
+const DASHBOARD_SESSION_HOURS = 12;
+const DASHBOARD_SESSION_SECRET_PROP = "DASHBOARD_SESSION_SECRET";
+const DASHBOARD_SIGN_IN_COOLDOWN_SECONDS = 5 * 60;
+
+/* --- Set by requireDashboardAccess_; recorded as the actor in Audit_Log --- */
+let currentDashboardViewer = "";
+
+function dashboardViewerEmail_() {
+  return String(Session.getActiveUser().getEmail() || "").trim().toLowerCase();
+}
+
+function isDashboardViewerAllowed_(email) {
+  const allowed = String(getConfig_().DASHBOARD_ALLOWED_EMAILS || "").toLowerCase().split(",");
+  return !!email && allowed.indexOf(email) !== -1;
+}
+
+/**
+ * The key sessions are signed with, created on first use.
+ */
+function dashboardSessionSecret_() {
+  const props = Services.properties.getScriptProperties();
+  let secret = props.getProperty(DASHBOARD_SESSION_SECRET_PROP);
+  if (!secret) {
+    secret = Utilities.getUuid() + Utilities.getUuid();
+    props.setProperty(DASHBOARD_SESSION_SECRET_PROP, secret);
+  }
+  return secret;
+}
+
+/**
+ * A session for `email`: "<expiry ms>.<base64 email>.<HMAC of both>".
+ */
+function createDashboardSession_(email) {
+  const expires = String(Date.now() + DASHBOARD_SESSION_HOURS * 60 * 60 * 1000);
+  const signature = computeRequestSignature_(dashboardSessionSecret_(), expires, email);
+  return `${expires}.${Utilities.base64EncodeWebSafe(email)}.${signature}`;
+}
+
+/**
+ * The email a session was issued to, or "" if it is malformed, forged or expired.
+ */
+function dashboardSessionEmail_(session) {
+  const parts = String(session || "").split(".");
+  if (parts.length !== 3 || !(Number(parts[0]) > Date.now())) return "";
+  let email;
+  try {
+    email = Utilities.newBlob(Utilities.base64DecodeWebSafe(parts[1])).getDataAsString();
+  } catch (e) {
+    return "";
+  }
+  const expected = computeRequestSignature_(dashboardSessionSecret_(), parts[0], email);
+  return constantTimeEquals_(parts[2].toLowerCase(), expected) ? email.trim().toLowerCase() : "";
+}
+
+/**
+ * Returns the session's email, or throws if the session is invalid or the
+ * email is no longer on the allowlist.
+ */
+function requireDashboardAccess_(session) {
+  const email = dashboardSessionEmail_(session);
+  if (!isDashboardViewerAllowed_(email)) {
+    logWarn_(`Denied call from "${email || "unknown user"}".`);
+    throw new Error("Access denied. Your sign-in may have expired; open the dashboard again to sign in.");
+  }
+  currentDashboardViewer = email;
+  return email;
+}
+
+/**
+ * Emails a sign-in link to `email` if it is on DASHBOARD_ALLOWED_EMAILS, at
+ * most once per DASHBOARD_SIGN_IN_COOLDOWN_SECONDS. The reply is the same
+ * either way, so the page does not reveal who is on the list.
+ */
+function dashboardRequestSignIn(email) {
+  const address = String(email || "").trim().toLowerCase();
+  const reply = { ok: true, message: `If ${address || "that address"} is on the teacher list, a sign-in link is on its way.` };
+  if (!isDashboardViewerAllowed_(address)) {
+    logWarn_(`Dashboard sign-in requested for "${address}", which is not on DASHBOARD_ALLOWED_EMAILS.`);
+    return reply;
+  }
+  const cache = Services.cache.getScriptCache();
+  const cacheKey = `DASHBOARD_SIGN_IN:${address}`;
+  if (cache.get(cacheKey)) return reply;
+  cache.put(cacheKey, "1", DASHBOARD_SIGN_IN_COOLDOWN_SECONDS);
+
+  const link = `${ScriptApp.getService().getUrl()}?session=${encodeURIComponent(createDashboardSession_(address))}`;
+  Services.mail.sendEmail({
+    to: address,
+    subject: "[EduScribe] Dashboard sign-in link",
+    body: `Open the EduScribe dashboard:\n\n${link}\n\nThe link works for ${DASHBOARD_SESSION_HOURS} hours. ` +
+      "Do not forward it: anyone with the link can use the dashboard until then.\n"
+  });
+  logInfo_(`Dashboard sign-in link emailed to ${address}.`);
+  return reply;
+}
+
+/**
+ * Runs `fn` under the script lock, or throws if a trigger run holds it.
+ * The action's log entries are written to the Logs tab when it ends.
+ */
+function withDashboardLock_(action, fn) {
+  beginLogRun_(`dashboard ${action}`);
+  const lock = acquireScriptLock_(`dashboard ${action}`);
+  if (!lock) {
+    finishLogRun_(`dashboard ${action}`);
+    throw new Error("Another run is in progress. Try again in a minute.");
+  }
+  try {
+    return fn();
+  } catch (e) {
+    logError_(`Dashboard ${action} failed.`, { error: e });
+    throw e;
+  } finally {
+    finishLogRun_(`dashboard ${action}`);
+    lock.releaseLock();
+  }
+}
+
+function doGet(e) {
+  const title = "EduScribe Dashboard";
+  if (!loadConfigOrLog_("doGet")) {
+    return HtmlService.createHtmlOutput("<p>EduScribe is not configured. Run validateConfig() in the script editor.</p>").setTitle(title);
+  }
+  const params = (e && e.parameter) || {};
+  let viewer = dashboardSessionEmail_(params.session);
+  let session = params.session;
+  if (!isDashboardViewerAllowed_(viewer)) {
+    viewer = dashboardViewerEmail_();
+    session = isDashboardViewerAllowed_(viewer) ? createDashboardSession_(viewer) : "";
+  }
+  if (!session) {
+    if (params.session) logWarn_("Rejected an invalid or expired dashboard session.");
+    return HtmlService.createHtmlOutputFromFile("DashboardSignIn")
+      .setTitle(title)
+      .addMetaTag("viewport", "width=device-width, initial-scale=1");
+  }
+
+  const template = HtmlService.createTemplateFromFile("Dashboard");
+  template.viewer = viewer;
+  template.session = session;
+  return template.evaluate()
+    .setTitle(title)
+    .addMetaTag("viewport", "width=device-width, initial-scale=1");
+}
+
+/* ==================================================================== */
+/*  DATA                                                                */
+/* ==================================================================== */
+
+/**
+ * Roster students and the Jobs statuses in use, for the page's filters.
+ */
+function dashboardLoad(session) {
+  const viewer = requireDashboardAccess_(session);
+  return {
+    viewer,
+    students: readRoster_().students.map(s => ({ id: s.Student_ID, name: s.Name, email: s.Email })),
+    statuses: Object.keys(JOB_STATUS_RANK)
+  };
+}
+
+/**
+ * Jobs rows, newest first. filters: { status, studentId, search }.
+ * Returns { total, rows } with at most DASHBOARD_JOB_LIMIT rows.
+ */
+function dashboardListJobs(session, filters) {
+  requireDashboardAccess_(session);
+  const f = filters || {};
+  const search = String(f.search || "").trim().toLowerCase();
+  const sheet = getJobsSheet_(Services.sheets.openById(getConfig_().TRACKING_SHEET_ID));
+  const cols = getJobsColumns_(sheet);
+  const values = sheet.getDataRange().getValues();
+
+  const rows = [];
+  for (let r = values.length - 1; r >= 1; r--) {
+    const get = name => (cols[name] ? values[r][cols[name] - 1] : "");
+    const job = {
+      rowIndex: r + 1, fileName: String(get("File Name")), status: String(get("Status")).trim(),
+      updated: formatDateTime_(get("Timestamp")), attempts: String(get("Attempts")), error: String(get("Error") || ""),
+      studentId: String(get("Student ID") || ""), studentName: String(get("Student Name") || ""),
+      jobId: String(get("Job ID") || ""), fileId: String(get("File ID") || ""),
+      nextRetryAt: formatDateTime_(get("Next Retry At"))
+    };
+    if (!job.fileName) continue;
+    if (f.status && job.status !== f.status) continue;
+    if (f.studentId && job.studentId !== f.studentId) continue;
+    if (search && `${job.fileName} ${job.studentName} ${job.error} ${job.jobId}`.toLowerCase().indexOf(search) === -1) continue;
+    job.canResubmit = DASHBOARD_RESUBMIT_STATUSES.indexOf(job.status) !== -1;
+    rows.push(job);
+  }
+  return { total: rows.length, rows: rows.slice(0, DASHBOARD_JOB_LIMIT) };
+}
+
+/**
+ * A student's homework (newest first) and indexed transcripts.
+ */
+function dashboardStudentHistory(session, studentEmail) {
+  requireDashboardAccess_(session);
+  const student = rosterFindByEmail_(studentEmail);
+  if (!student) throw new Error(`No roster student with email ${studentEmail}.`);
+  const email = student.Email.toLowerCase();
+
+  const homework = readLedgerEntries_(openLedger_())
+    .filter(entry => String(entry.Student_Email).trim().toLowerCase() === email)
+    .map(entry => ({
+      hwId: String(entry.HW_ID), status: String(entry.Status).trim(),
+      created: formatDateTime_(entry.Created_At), completed: formatDateTime_(entry.Completed_At),
+      opens: String(entry.Open_Count || 0), reminders: String(entry.Reminder_Count || 0),
+      templateVersion: String(entry.Template_Version || "")
+    }))
+    .reverse();
+
+  const index = loadTranscriptIndex_(Services.sheets.openById(getConfig_().STUDENT_ROSTER_ID));
+  const transcripts = Array.from(index.byId.values())
+    .filter(entry => entry.email.toLowerCase() === email)
+    .map(entry => ({ fileId: entry.fileId, name: entry.name, classDate: entry.classDate, status: entry.status, hwId: entry.hwId }))
+    .sort((a, b) => (a.classDate < b.classDate ? 1 : -1));
+
+  return {
+    student: { id: student.Student_ID, name: student.Name, email: student.Email, language: resolveEmailLanguage_(student.Preferred_Language) },
+    homework,
+    transcripts
+  };
+}
+
+/**
+ * Runs every health check.
+ */
+function dashboardRunHealthChecks(session) {
+  const viewer = requireDashboardAccess_(session);
+  logInfo_(`${viewer} ran the health checks.`);
+  return runHealthChecks_();
+}
+
+/* ==================================================================== */
+/*  ACTIONS                                                             */
+/* ==================================================================== */
+
+/**
+ * Re-submits a failed Jobs row to Cloud Run. Returns { ok, message }.
+ */
+function dashboardResubmitJob(session, rowIndex) {
+  const viewer = requireDashboardAccess_(session);
+  const config = getConfig_();
+  return withDashboardLock_("resubmit", () => {
+    const sheet = getJobsSheet_(Services.sheets.openById(config.TRACKING_SHEET_ID));
+    const cols = getJobsColumns_(sheet);
+    const row = Number(rowIndex) >= 2 && Number(rowIndex) <= sheet.getLastRow()
+      ? sheet.getRange(Number(rowIndex), 1, 1, sheet.getLastColumn()).getValues()[0]
+      : null;
+    const status = row ? String(row[cols["Status"] - 1]).trim() : "";
+    if (DASHBOARD_RESUBMIT_STATUSES.indexOf(status) === -1) {
+      throw new Error(`Row ${rowIndex} cannot be re-submitted (status: ${status || "none"}).`);
+    }
+
+    logInfo_(`${viewer} re-submitted Jobs row ${rowIndex}.`, { fileId: String(row[cols["File ID"] - 1] || "") });
+    // Start the row over so Cloud Run's acknowledgement and progress events are not ignored as late
+    updateJobRow_(sheet, cols, Number(rowIndex), { "Status": "sending_to_cloudrun", "Timestamp": new Date() });
+    const result = resubmitJobRow_(sheet, cols, Number(rowIndex), row, loadMonitoredFolders_(), loadRosterStudents_(), getRetryPolicy_());
+    if (result.deadLetter) {
+      notifyDeadLetters_([{ fileName: result.fileName, attempts: result.attempts, error: result.error, teacherEmail: result.teacherEmail }]);
+    }
+    return result.recovered
+      ? { ok: true, message: `${result.fileName} was accepted by Cloud Run.` }
+      : { ok: false, message: `${result.fileName} failed again (${result.error}). Status: ${result.status}.` };
+  });
+}
+
+/**
+ * Assigns one homework for the chosen indexed transcripts of a student.
+ * Returns { ok, message, hwId }.
+ */
+function dashboardAssignHomework(session, studentEmail, transcriptFileIds) {
+  const viewer = requireDashboardAccess_(session);
+  if (!Array.isArray(transcriptFileIds) || transcriptFileIds.length === 0) throw new Error("Choose at least one transcript.");
+  return withDashboardLock_("assign", () => {
+    const index = loadTranscriptIndex_(Services.sheets.openById(getConfig_().STUDENT_ROSTER_ID));
+    const email = String(studentEmail).trim().toLowerCase();
+    const chosen = transcriptFileIds.map(fileId => {
+      const entry = index.byId.get(fileId);
+      if (!entry || entry.email.toLowerCase() !== email) throw new Error(`Transcript ${fileId} is not indexed for ${studentEmail}.`);
+      return entry;
+    }).sort((a, b) => (a.classDate < b.classDate ? -1 : 1));
+
+    const hwId = assignHomework_(studentEmail, chosen.map(t => t.name), chosen.map(t => t.fileId));
+    markTranscriptsAssigned_(index, chosen.map(t => t.fileId), hwId);
+    logInfo_(`${viewer} assigned ${hwId} to ${studentEmail} for ${chosen.length} transcript(s).`, { hwId });
+    return { ok: true, hwId, message: `Assigned ${hwId} for ${chosen.length} transcript(s).` };
+  });
+}
+
+function findLedgerEntryByHwId_(hwId) {
+  const ledger = openLedger_();
+  const entry = readLedgerEntries_(ledger).find(e => String(e.HW_ID).trim() === String(hwId).trim());
+  if (!entry) throw new Error(`Homework ${hwId} not found.`);
+  return { ledger, entry };
+}
+
+/**
+ * Sends the homework email for an active homework again, with the same link.
+ */
+function dashboardResendHomework(session, hwId) {
+  const viewer = requireDashboardAccess_(session);
+  if (!getConfig_().HOMEWORK_PORTAL_BASEURL) throw new Error("HOMEWORK_PORTAL_BASEURL is not set.");
+  return withDashboardLock_("resend", () => {
+    const { entry } = findLedgerEntryByHwId_(hwId);
+    const rejection = validateHomeworkToken_({ entry });
+    if (rejection) throw new Error(rejection);
+
+    const studentEmail = String(entry.Student_Email).trim();
+    const student = rosterFindByEmail_(studentEmail) || { Name: entry.Student_Name };
+    const questionCount = buildPromptValues_(student, []).question_count;
+    const outcome = sendHomeworkEmail_(student, studentEmail, hwId, entry.Token, questionCount);
+    logInfo_(`${viewer} resent ${hwId} to ${studentEmail} (${outcome}).`, { hwId });
+    return { ok: true, message: `Homework email ${outcome} for ${studentEmail}.` };
+  });
+}
+
+/**
+ * Marks a homework Revoked, which disables its portal link and reminders.
+ */
+function dashboardRevokeHomework(session, hwId) {
+  const viewer = requireDashboardAccess_(session);
+  return withDashboardLock_("revoke", () => {
+    const { ledger, entry } = findLedgerEntryByHwId_(hwId);
+    const status = String(entry.Status).trim();
+    if (status !== "Active") throw new Error(`${hwId} is ${status || "not active"}; only active homework can be revoked.`);
+    updateLedgerRow_(ledger, entry.rowIndex, { Status: "Revoked" });
+    Services.sheets.flush();
+    logInfo_(`${viewer} revoked ${hwId}.`, { hwId });
+    recordAudit_("revoke", hwId, "", entry.Student_ID);
+    return { ok: true, message: `${hwId} revoked; its link no longer works.` };
+  });
+}
+
+/**
+ * Purges a student's data (forgetStudent). The teacher must type the
+ * student's email address again as `confirmation`.
+ */
+function dashboardForgetStudent(session, studentEmail, confirmation) {
+  const viewer = requireDashboardAccess_(session);
+  const email = String(studentEmail || "").trim().toLowerCase();
+  if (!email || String(confirmation || "").trim().toLowerCase() !== email) {
+    throw new Error("Type the student's email address exactly to confirm.");
+  }
+  return withDashboardLock_("forget", () => {
+    const summary = purgeStudentData_(email);
+    logInfo_(`${viewer} forgot student ${summary.studentId}.`, { studentId: summary.studentId });
+    const failed = summary.failedFiles ? ` ${summary.failedFiles} file(s) could not be trashed; see the execution log.` : "";
+    return { ok: !summary.failedFiles, message: `Forgot ${summary.studentId}: ${summary.jobs} recording(s), ${summary.transcripts} transcript(s) and ${summary.homework} homework removed.${failed}` };
+  });
+}
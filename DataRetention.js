@@ -0,0 +1,358 @@
+/**
+ * ======================================================================
+ * DATA RETENTION AND FORGETTING A STUDENT
+ * ======================================================================
+ * applyRetentionPolicy_() (on the daily trigger setup() installs) trashes student files
+ * once they are older than the configured number of days. A blank property
+ * keeps that type of file forever:
+ *   RETENTION_RECORDING_DAYS   recordings (and their Meet companions) whose
+ *                              Jobs row reached transcript_written, counted
+ *                              from the row's Timestamp
+ *   RETENTION_TRANSCRIPT_DAYS  transcripts already used for homework
+ *                              (Transcript_Index status 'assigned'), from Indexed At
+ *   RETENTION_PROMPT_DAYS      prompt files of homework that is no longer
+ *                              open (not Active, or past HOMEWORK_TOKEN_TTL_DAYS),
+ *                              from Created_At
+ *   RETENTION_CHATLOG_DAYS     submitted chat logs, from Completed_At
+ * Trashed files stay in Drive's trash for 30 days. The row that pointed at
+ * each file gets a "Deleted At" time (ledger: Prompt_Deleted_At /
+ * Submission_Deleted_At) so it is not looked at again, and every file is
+ * recorded in the Audit_Log (see AuditLog.js).
+ *
+ * forgetStudent(emailOrStudentId) purges a departed student: their
+ * recordings, transcripts, prompts and chat logs are trashed, names, email
+ * addresses and tokens are blanked on the Jobs, Needs_Review, Transcript_Index,
+ * Email_Queue and ledger rows, their Progress rows are deleted, their Drive
+ * folder is trashed and their roster row removed. Their email address and
+ * name are replaced with "[forgotten <Student_ID>]" in the Logs, Audit_Log
+ * and Weekly_Report tabs. Rows keep the Student_ID so counts and the audit
+ * trail still add up. Teachers can also do this from the dashboard. Copies
+ * held by Cloud Run, and entries already sent to Cloud Logging (which expire
+ * with its retention period), are not touched.
+ */
+
+const RETENTION_DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * The time before which files of a type are expired, or null when kept forever.
+ */
+function retentionCutoff_(days) {
+  return days ? new Date(Date.now() - days * RETENTION_DAY_MS) : null;
+}
+
+function isOlderThan_(value, cutoff) {
+  const date = value instanceof Date ? value : new Date(value);
+  return !isNaN(date.getTime()) && date < cutoff;
+}
+
+/**
+ * Trashes a Drive file and audits it. A file that is already gone counts as
+ * deleted; other errors are logged and return false so the row is retried.
+ */
+function trashStudentFile_(fileId, reason, studentId) {
+  const id = String(fileId || "").trim();
+  if (!id) return true;
+  let file;
+  try {
+    file = Services.drive.getFileById(id);
+  } catch (e) {
+    logWarn_("File not found; marking it deleted.", { fileId: id, error: e });
+    recordAudit_("trash", id, { reason, note: "already gone" }, studentId);
+    return true;
+  }
+  try {
+    if (!file.isTrashed()) file.setTrashed(true);
+    recordAudit_("trash", id, { reason }, studentId);
+    return true;
+  } catch (e) {
+    logError_("Could not trash a file; it is retried on the next run.", { fileId: id, error: e });
+    return false;
+  }
+}
+
+/**
+ * Applies the RETENTION_* periods. Runs under the script lock and stops at
+ * the run time budget; the next run carries on where it stopped.
+ */
+function applyRetentionPolicy_() {
+  beginLogRun_("applyRetentionPolicy");
+  const config = loadConfigOrLog_("applyRetentionPolicy");
+  if (!config) {
+    finishLogRun_("applyRetentionPolicy");
+    return;
+  }
+  const lock = acquireScriptLock_("applyRetentionPolicy");
+  if (!lock) {
+    finishLogRun_("applyRetentionPolicy");
+    return;
+  }
+  try {
+    const budget = createRunBudget_();
+    const counts = {
+      recordings  : purgeExpiredRecordings_(retentionCutoff_(config.RETENTION_RECORDING_DAYS), budget),
+      transcripts : purgeExpiredTranscripts_(retentionCutoff_(config.RETENTION_TRANSCRIPT_DAYS), budget),
+      ledger      : purgeExpiredLedgerFiles_(retentionCutoff_(config.RETENTION_PROMPT_DAYS), retentionCutoff_(config.RETENTION_CHATLOG_DAYS), budget)
+    };
+    Services.sheets.flush();
+    logInfo_(`Trashed ${counts.recordings} recording(s), ${counts.transcripts} transcript(s) and ${counts.ledger} prompt/chat log file(s).`);
+  } catch (e) {
+    logError_("An unexpected error occurred.", { error: e });
+  } finally {
+    finishLogRun_("applyRetentionPolicy");
+    lock.releaseLock();
+  }
+}
+
+function purgeExpiredRecordings_(cutoff, budget) {
+  if (!cutoff) return 0;
+  const sheet = Services.sheets.openById(getConfig_().TRACKING_SHEET_ID).getSheetByName(JOBS_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) return 0;
+  const cols = getJobsColumns_(sheet);
+  if (!cols["Deleted At"]) return 0;
+
+  const values = sheet.getDataRange().getValues();
+  let count = 0;
+  for (let r = 1; r < values.length && !budget.exceeded(); r++) {
+    const get = name => (cols[name] ? values[r][cols[name] - 1] : "");
+    if (String(get("Status")).trim() !== "transcript_written" || get("Deleted At")) continue;
+    if (!isOlderThan_(get("Timestamp"), cutoff)) continue;
+
+    const studentId = String(get("Student ID")).trim();
+    const trashed = trashStudentFile_(get("File ID"), "retention: recording", studentId)
+      && trashStudentFile_(get("Companion File ID"), "retention: recording companion", studentId);
+    if (!trashed) continue;
+    sheet.getRange(r + 1, cols["Deleted At"]).setValue(new Date());
+    count++;
+  }
+  return count;
+}
+
+function purgeExpiredTranscripts_(cutoff, budget) {
+  if (!cutoff) return 0;
+  const index = loadTranscriptIndex_(Services.sheets.openById(getConfig_().STUDENT_ROSTER_ID));
+  const values = index.sheet.getDataRange().getValues();
+  let count = 0;
+  for (let r = 1; r < values.length && !budget.exceeded(); r++) {
+    const get = name => (index.cols[name] ? values[r][index.cols[name] - 1] : "");
+    if (String(get("Status")).trim() !== "assigned" || get("Deleted At")) continue;
+    if (!isOlderThan_(get("Indexed At"), cutoff)) continue;
+
+    if (!trashStudentFile_(get("Transcript File ID"), "retention: transcript", "")) continue;
+    index.sheet.getRange(r + 1, index.cols["Deleted At"]).setValue(new Date());
+    count++;
+  }
+  return count;
+}
+
+function purgeExpiredLedgerFiles_(promptCutoff, chatLogCutoff, budget) {
+  if (!promptCutoff && !chatLogCutoff) return 0;
+  const ledger = openLedger_();
+  const ttlCutoff = retentionCutoff_(getConfig_().HOMEWORK_TOKEN_TTL_DAYS);
+  let count = 0;
+  for (const entry of readLedgerEntries_(ledger)) {
+    if (budget.exceeded()) break;
+    const studentId = String(entry.Student_ID).trim();
+
+    const closed = String(entry.Status).trim() !== "Active" || isOlderThan_(entry.Created_At, ttlCutoff);
+    if (promptCutoff && closed && entry.Prompt_File_ID && !entry.Prompt_Deleted_At && isOlderThan_(entry.Created_At, promptCutoff)) {
+      if (trashStudentFile_(entry.Prompt_File_ID, "retention: prompt", studentId)) {
+        updateLedgerRow_(ledger, entry.rowIndex, { Prompt_Deleted_At: new Date().toISOString() });
+        count++;
+      }
+    }
+    if (chatLogCutoff && entry.Submission_File_ID && !entry.Submission_Deleted_At && isOlderThan_(entry.Completed_At, chatLogCutoff)) {
+      if (trashStudentFile_(entry.Submission_File_ID, "retention: chat log", studentId)) {
+        updateLedgerRow_(ledger, entry.rowIndex, { Submission_Deleted_At: new Date().toISOString() });
+        count++;
+      }
+    }
+  }
+  return count;
+}
+
+/**
+ * Purges every artifact of one student (see the header). `studentKey` is a
+ * roster email address or Student_ID. Returns a summary of what was removed.
+ */
+function forgetStudent(studentKey) {
+  requireScriptEditor_("forgetStudent");
+  beginLogRun_("forgetStudent");
+  if (!loadConfigOrLog_("forgetStudent")) {
+    finishLogRun_("forgetStudent");
+    return null;
+  }
+  const lock = acquireScriptLock_("forgetStudent");
+  if (!lock) {
+    finishLogRun_("forgetStudent");
+    throw new Error("Another run is in progress. Try again in a minute.");
+  }
+  try {
+    return purgeStudentData_(studentKey);
+  } finally {
+    finishLogRun_("forgetStudent");
+    lock.releaseLock();
+  }
+}
+
+/**
+ * A case-insensitive pattern for the student's email address and name, also
+ * as it appears in file names ("Maria_Lopez"), or null.
+ */
+function studentPiiPattern_(student) {
+  const name = String(student.Name || "").trim();
+  const terms = [student.Email, name, name.replace(/\s+/g, "_")]
+    .map(term => String(term || "").trim())
+    .filter(term => term.length >= 3);
+  if (terms.length === 0) return null;
+  const escaped = Array.from(new Set(terms)).map(term => term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+  return new RegExp(escaped.join("|"), "gi");
+}
+
+/**
+ * Replaces `pattern` with "[forgotten <studentId>]" in the text cells of a
+ * tab, limited to the columns named in `headers` (all columns when null).
+ * Returns the number of rows changed.
+ */
+function scrubStudentPii_(sheet, headers, pattern, studentId) {
+  if (!sheet || !pattern || sheet.getLastRow() < 2) return 0;
+  const values = sheet.getDataRange().getValues();
+  const header = values[0].map(h => String(h).trim());
+  const columns = headers ? headers.map(h => header.indexOf(h)).filter(c => c !== -1) : header.map((h, c) => c);
+  const replacement = `[forgotten ${studentId}]`;
+  let changed = 0;
+  for (let r = 1; r < values.length; r++) {
+    let rowChanged = false;
+    columns.forEach(c => {
+      const value = values[r][c];
+      if (typeof value !== "string") return;
+      const scrubbed = value.replace(pattern, replacement);
+      if (scrubbed === value) return;
+      sheet.getRange(r + 1, c + 1).setValue(scrubbed);
+      rowChanged = true;
+    });
+    if (rowChanged) changed++;
+  }
+  return changed;
+}
+
+/**
+ * forgetStudent without the lock, for callers that already hold it.
+ */
+function purgeStudentData_(studentKey) {
+  const key = String(studentKey || "").trim().toLowerCase();
+  if (!key) throw new Error("forgetStudent needs a student email or Student_ID.");
+  const roster = readRoster_();
+  const student = roster.students.find(s => s.Email.toLowerCase() === key || s.Student_ID.toLowerCase() === key);
+  if (!student) throw new Error(`No roster student with email or Student_ID "${studentKey}".`);
+
+  const config = getConfig_();
+  const studentId = student.Student_ID;
+  const email = student.Email.toLowerCase();
+  const trackingSS = Services.sheets.openById(config.TRACKING_SHEET_ID);
+  const rosterSS = Services.sheets.openById(config.STUDENT_ROSTER_ID);
+  const summary = { studentId, jobs: 0, transcripts: 0, homework: 0, progress: 0, emails: 0, reviews: 0, logRows: 0, auditRows: 0, failedFiles: 0 };
+  const trash = (fileId, reason) => {
+    if (!trashStudentFile_(fileId, reason, studentId)) summary.failedFiles++;
+  };
+
+  // Jobs: recordings, companions and transcripts
+  const recordingIds = new Set();
+  const jobsSheet = getJobsSheet_(trackingSS);
+  const jobCols = getJobsColumns_(jobsSheet);
+  const jobValues = jobsSheet.getDataRange().getValues();
+  for (let r = 1; r < jobValues.length; r++) {
+    if (String(jobValues[r][jobCols["Student ID"] - 1]).trim() !== studentId) continue;
+    const get = name => jobValues[r][jobCols[name] - 1];
+    recordingIds.add(String(get("File ID")).trim());
+    if (!get("Deleted At")) {
+      trash(get("File ID"), "forget_student: recording");
+      trash(get("Companion File ID"), "forget_student: recording companion");
+    }
+    trash(get("Transcript File ID"), "forget_student: transcript");
+    updateJobRow_(jobsSheet, jobCols, r + 1, { "File Name": `forgotten_${studentId}`, "Student Name": "", "Deleted At": new Date() });
+    summary.jobs++;
+  }
+
+  // Needs_Review rows for those recordings
+  const review = loadReviewQueue_(trackingSS);
+  const reviewValues = review.sheet.getDataRange().getValues();
+  for (let r = 1; r < reviewValues.length; r++) {
+    if (!recordingIds.has(String(reviewValues[r][review.cols["File ID"] - 1]).trim())) continue;
+    ["Original File Name", "Detected Name", "Candidates", "Selected Student"].forEach(name => {
+      if (review.cols[name]) review.sheet.getRange(r + 1, review.cols[name]).setValue("");
+    });
+    summary.reviews++;
+  }
+
+  // Email_Queue: cancel anything still queued and drop addresses and bodies
+  const queue = loadEmailQueue_(trackingSS);
+  const queueValues = queue.sheet.getDataRange().getValues();
+  for (let r = 1; r < queueValues.length; r++) {
+    const to = String(queueValues[r][queue.cols["To"] - 1]).toLowerCase().split(",").map(e => e.trim());
+    if (to.indexOf(email) === -1) continue;
+    const status = String(queueValues[r][queue.cols["Status"] - 1]).trim();
+    if (status === "queued") queue.sheet.getRange(r + 1, queue.cols["Status"]).setValue("cancelled");
+    ["To", "Subject", "Message"].forEach(name => queue.sheet.getRange(r + 1, queue.cols[name]).setValue(""));
+    summary.emails++;
+  }
+
+  // Transcript_Index
+  const index = loadTranscriptIndex_(rosterSS);
+  index.byId.forEach(entry => {
+    if (entry.email.toLowerCase() !== email) return;
+    trash(entry.fileId, "forget_student: transcript");
+    const fields = { "Transcript Name": "", "Student Email": "", "Status": "forgotten", "Deleted At": new Date() };
+    Object.keys(fields).forEach(name => {
+      if (index.cols[name]) index.sheet.getRange(entry.rowIndex, index.cols[name]).setValue(fields[name]);
+    });
+    summary.transcripts++;
+  });
+
+  // Ledger: prompts and chat logs; the token is blanked so portal links stop working
+  const ledger = openLedger_();
+  readLedgerEntries_(ledger).forEach(entry => {
+    const sameStudent = String(entry.Student_ID).trim() === studentId || String(entry.Student_Email).trim().toLowerCase() === email;
+    if (!sameStudent) return;
+    const now = new Date().toISOString();
+    const fields = { Student_Name: "", Student_Email: "", Token: "", Status: "Forgotten" };
+    if (entry.Prompt_File_ID && !entry.Prompt_Deleted_At) {
+      trash(entry.Prompt_File_ID, "forget_student: prompt");
+      fields.Prompt_Deleted_At = now;
+    }
+    if (entry.Submission_File_ID && !entry.Submission_Deleted_At) {
+      trash(entry.Submission_File_ID, "forget_student: chat log");
+      fields.Submission_Deleted_At = now;
+    }
+    updateLedgerRow_(ledger, entry.rowIndex, fields);
+    summary.homework++;
+  });
+
+  // Progress rows are deleted outright (bottom-up so row numbers stay valid)
+  const progress = loadProgressSheet_(rosterSS);
+  const progressRows = (progress.sessionsByStudent.get(studentId) || []).map(s => s.rowIndex).sort((a, b) => b - a);
+  progressRows.forEach(rowIndex => progress.sheet.deleteRow(rowIndex));
+  summary.progress = progressRows.length;
+
+  // Email address and name in free-text log, audit and report cells
+  const pattern = studentPiiPattern_(student);
+  summary.logRows = scrubStudentPii_(trackingSS.getSheetByName(LOG_SHEET_NAME), ["Message", "Context"], pattern, studentId);
+  summary.auditRows = scrubStudentPii_(trackingSS.getSheetByName(AUDIT_LOG_SHEET_NAME), ["Target", "Details"], pattern, studentId);
+  scrubStudentPii_(trackingSS.getSheetByName(WEEKLY_REPORT_SHEET_NAME), null, pattern, studentId);
+
+  // Student folder and roster row last, so a failure above can be re-run
+  if (student.Drive_Folder_ID) {
+    try {
+      Services.drive.getFolderById(student.Drive_Folder_ID).setTrashed(true);
+      recordAudit_("trash", student.Drive_Folder_ID, { reason: "forget_student: student folder" }, studentId);
+    } catch (e) {
+      logError_("Could not trash the student's Drive folder.", { studentId, folderId: student.Drive_Folder_ID, error: e });
+      summary.failedFiles++;
+    }
+  }
+  roster.sheet.deleteRow(student.RosterRowIndex);
+  Services.sheets.flush();
+
+  recordAudit_("forget_student", studentId, summary, studentId);
+  logInfo_(`Forgot student ${studentId}.`, summary);
+  return summary;
+}
@@ -0,0 +1,307 @@
+/**
+ * ======================================================================
+ * DRY-RUN / SIMULATION MODE
+ * ======================================================================
+ * Runs pipeline functions with every write intercepted: reads go to the
+ * real (or injected) services, while renames, moves, file creation, sheet
+ * writes, emails, Cloud Run POSTs, Script Property changes and script cache
+ * writes are recorded in a report instead of being performed. Cloud Run calls are answered with
+ * the normal "File saved to /incoming" acknowledgement; GET requests and ID
+ * token requests to Google's token endpoint go through.
+ *
+ * From the editor run dryRunProcessNewRecordings, dryRunProcessCompletedTranscripts
+ * or testAssignHomework; the report is logged and written to the
+ * "Dry_Run_Report" tab of TRACKING_SHEET_ID (replacing the previous report).
+ *
+ * Against local fakes:
+ *   const report = runDryRun_("local", () => processNewRecordings_(),
+ *     { services: { drive: fakeDrive, sheets: fakeSheets }, writeReport: false });
+ */
+
+const DRY_RUN_REPORT_SHEET_NAME = "Dry_Run_Report";
+const DRY_RUN_REPORT_HEADERS = ["Run", "Step", "Action", "Target", "Details"];
+const DRY_RUN_MAX_DETAIL_CHARS = 45000;
+
+/* --- Methods that change something, and how they appear in the report --- */
+const DRY_RUN_WRITE_METHODS = {
+  setName           : "rename",
+  moveTo            : "move",
+  createShortcut    : "create_shortcut",
+  createFile        : "create_file",
+  createFolder      : "create_folder",
+  setTrashed        : "trash",
+  insertSheet       : "insert_sheet",
+  appendRow         : "append_row",
+  setValue          : "write_cell",
+  setValues         : "write_cells",
+  setDataValidation : "set_validation",
+  deleteRow         : "delete_row",
+  clear             : "clear",
+  sendEmail         : "send_email",
+  setProperty       : "set_property",
+  deleteProperty    : "delete_property",
+  put               : "cache_put",
+  remove            : "cache_remove",
+  fetch             : "http_request"
+};
+
+let dryRunActive = false;
+
+/**
+ * True while a dry run is in progress.
+ */
+function isDryRun_() {
+  return dryRunActive;
+}
+
+/**
+ * Runs `fn` in dry-run mode and returns the list of recorded actions.
+ * options.services   base services to read from (defaults to the real ones)
+ * options.writeReport set to false to skip writing the Dry_Run_Report tab
+ */
+function runDryRun_(label, fn, options) {
+  const opts = options || {};
+  const baseServices = Object.assign(currentServices_(), opts.services || {});
+  const report = [];
+  const recorder = createDryRunRecorder_(report);
+  const dryServices = {};
+  Object.keys(baseServices).forEach(name => { dryServices[name] = recorder.wrap(baseServices[name]); });
+
+  logInfo_(`Starting dry run "${label}". No changes will be made.`);
+  const wasActive = dryRunActive;
+  dryRunActive = true;
+  try {
+    withServices_(dryServices, fn);
+  } catch (e) {
+    report.push({ action: "error", target: label, details: `${e.message}\n${e.stack || ''}` });
+  } finally {
+    dryRunActive = wasActive;
+  }
+
+  report.forEach((entry, i) => logInfo_(`#${i + 1} ${entry.action} ${entry.target}: ${String(entry.details).substring(0, 500)}`));
+  logInfo_(`"${label}" would perform ${report.length} action(s).`);
+  if (opts.writeReport !== false) {
+    withServices_(baseServices, () => writeDryRunReport_(label, report));
+  }
+  return report;
+}
+
+/**
+ * Builds the proxy factory that records writes into `report`. Objects created
+ * during the dry run (files, folders, sheets) are in-memory stubs so later
+ * steps can keep using them.
+ */
+function createDryRunRecorder_(report) {
+  const PASS_THROUGH = {};
+  const stubs = new WeakSet();
+  const proxies = new WeakSet();
+  const pendingAppends = new Map();   // "spreadsheetId:sheetId" -> rows appended during the dry run
+  const insertedSheets = new Map();   // "spreadsheetId:name" -> stub sheet inserted during the dry run
+  let fakeIdCounter = 0;
+
+  const isWrappable = value =>
+    value !== null && (typeof value === "object" || typeof value === "function") &&
+    !Array.isArray(value) && !(value instanceof Date);
+
+  const describe = obj => {
+    try {
+      if (typeof obj.getA1Notation === "function") return `${obj.getSheet().getName()}!${obj.getA1Notation()}`;
+      if (typeof obj.getName === "function") return obj.getName();
+    } catch (e) {
+      // Not every object can describe itself; leave the target blank.
+    }
+    return "";
+  };
+
+  const spreadsheetKey = (ss, name) => {
+    try {
+      return `${ss.getId()}:${name}`;
+    } catch (e) {
+      return null;
+    }
+  };
+
+  const sheetKey = sheet => {
+    try {
+      return `${sheet.getParent().getId()}:${sheet.getSheetId()}`;
+    } catch (e) {
+      return null;
+    }
+  };
+
+  function stub(obj) {
+    stubs.add(obj);
+    return wrap(obj);
+  }
+
+  function stubFile(name, kind) {
+    const id = `dry-run-${kind}-${++fakeIdCounter}`;
+    const noop = () => null;
+    return stub({
+      getId: () => id, getName: () => name, getUrl: () => `(dry run) ${id}`,
+      getFoldersByName: () => ({ hasNext: () => false, next: () => null }),
+      createFile: noop, createFolder: noop, createShortcut: noop, moveTo: noop, setName: noop, setTrashed: noop
+    });
+  }
+
+  function stubSheet(name) {
+    const rows = [];
+    const write = (row, col, values) => values.forEach((line, i) => {
+      while (rows.length < row + i) rows.push([]);
+      line.forEach((value, j) => { rows[row - 1 + i][col - 1 + j] = value; });
+    });
+    const sheet = {
+      getName: () => name,
+      getLastRow: () => rows.length,
+      getLastColumn: () => rows.reduce((max, row) => Math.max(max, row.length), 0),
+      getDataRange: () => ({ getValues: () => (rows.length ? rows.map(row => row.slice()) : [[]]) }),
+      getRange: (row, col, numRows, numCols) => stub({
+        getValues: () => Array.from({ length: numRows || 1 }, (_, i) =>
+          Array.from({ length: numCols || 1 }, (_, j) => (rows[row - 1 + i] || [])[col - 1 + j] ?? "")),
+        getValue: () => (rows[row - 1] || [])[col - 1] ?? "",
+        getA1Notation: () => `R${row}C${col}`, getSheet: () => sheet,
+        setValue: value => write(row, col, [[value]]), setValues: values => write(row, col, values),
+        setDataValidation: () => null
+      }),
+      appendRow: row => { rows.push(row.slice()); return sheet; },
+      clear: () => { rows.length = 0; return sheet; }
+    };
+    return stub(sheet);
+  }
+
+  function record(target, receiver, method, args) {
+    const entry = { action: DRY_RUN_WRITE_METHODS[method], target: describe(target), details: "" };
+
+    switch (method) {
+      case "fetch": {
+        const request = args[1] || {};
+        const httpMethod = String(request.method || "get").toUpperCase();
+        if (httpMethod === "GET" || String(args[0]) === GOOGLE_TOKEN_URL) return PASS_THROUGH;
+        entry.target = String(args[0]);
+        entry.details = `${httpMethod} ${request.payload || ""}`;
+        report.push(entry);
+        const body = JSON.stringify({ message: "File saved to /incoming", dryRun: true });
+        return { getResponseCode: () => 200, getContentText: () => body, getHeaders: () => ({}) };
+      }
+      case "sendEmail": {
+        const message = typeof args[0] === "object" ? args[0] : { to: args[0], subject: args[1], body: args[2] };
+        entry.target = String(message.to || "");
+        const copies = ["cc", "bcc", "replyTo"].filter(k => message[k]).map(k => `${k}: ${message[k]}\n`).join("");
+        entry.details = `${copies}Subject: ${message.subject || ""}\n\n${message.body || message.htmlBody || ""}`;
+        report.push(entry);
+        return undefined;
+      }
+      case "createFile": {
+        const isBlob = args.length === 1 && args[0] && typeof args[0].getDataAsString === "function";
+        const name = isBlob ? args[0].getName() : args[0];
+        entry.details = `${name}\n\n${isBlob ? args[0].getDataAsString() : (args[1] || "")}`;
+        report.push(entry);
+        return stubFile(name, "file");
+      }
+      case "createFolder":
+        entry.details = String(args[0]);
+        report.push(entry);
+        return stubFile(String(args[0]), "folder");
+      case "createShortcut":
+        entry.details = `-> ${args[0]}`;
+        report.push(entry);
+        return stubFile(`shortcut to ${args[0]}`, "shortcut");
+      case "insertSheet": {
+        entry.details = String(args[0]);
+        report.push(entry);
+        const inserted = stubSheet(String(args[0]));
+        const key = spreadsheetKey(target, String(args[0]));
+        if (key) insertedSheets.set(key, inserted);
+        return inserted;
+      }
+      case "appendRow": {
+        entry.details = JSON.stringify(args[0]);
+        report.push(entry);
+        if (stubs.has(target)) {
+          target.appendRow(args[0]);
+        } else {
+          const key = sheetKey(target);
+          if (key) pendingAppends.set(key, (pendingAppends.get(key) || 0) + 1);
+        }
+        return receiver;
+      }
+      case "put":
+      case "remove":
+        // Cached values can be ID tokens, so only the key is reported
+        entry.target = String(args[0]);
+        report.push(entry);
+        return undefined;
+      case "moveTo":
+        entry.details = `-> ${describe(args[0])}`;
+        report.push(entry);
+        return receiver;
+      default:
+        entry.details = args.map(a => (isWrappable(a) ? describe(a) : JSON.stringify(a))).join(", ");
+        report.push(entry);
+        if (stubs.has(target)) target[method].apply(target, args);
+        return receiver;
+    }
+  }
+
+  function wrap(target) {
+    if (!isWrappable(target) || proxies.has(target)) return target;
+    const proxy = new Proxy(target, {
+      get(obj, prop, receiver) {
+        const value = obj[prop];
+        if (typeof value !== "function") return value;
+        return (...args) => {
+          if (Object.prototype.hasOwnProperty.call(DRY_RUN_WRITE_METHODS, prop)) {
+            const result = record(obj, receiver, prop, args);
+            if (result !== PASS_THROUGH) return result;
+          }
+          if (prop === "getSheetByName" && !stubs.has(obj)) {
+            const key = spreadsheetKey(obj, args[0]);
+            if (key && insertedSheets.has(key)) return insertedSheets.get(key);
+          }
+          if (prop === "getLastRow" && !stubs.has(obj)) {
+            const key = sheetKey(obj);
+            return value.apply(obj, args) + ((key && pendingAppends.get(key)) || 0);
+          }
+          return wrap(value.apply(obj, args));
+        };
+      }
+    });
+    proxies.add(proxy);
+    return proxy;
+  }
+
+  return { wrap };
+}
+
+/**
+ * Replaces the Dry_Run_Report tab with the given report.
+ */
+function writeDryRunReport_(label, report) {
+  const config = loadConfigOrLog_("writeDryRunReport");
+  if (!config) { logWarn_("Report only logged."); return; }
+
+  const ss = Services.sheets.openById(config.TRACKING_SHEET_ID);
+  const sheet = ss.getSheetByName(DRY_RUN_REPORT_SHEET_NAME) || ss.insertSheet(DRY_RUN_REPORT_SHEET_NAME);
+  sheet.clear();
+  const stamp = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), "yyyy-MM-dd HH:mm");
+  const rows = [DRY_RUN_REPORT_HEADERS].concat(report.map((entry, i) => [
+    `${label} (${stamp})`, i + 1, entry.action, entry.target, String(entry.details).substring(0, DRY_RUN_MAX_DETAIL_CHARS)
+  ]));
+  sheet.getRange(1, 1, rows.length, DRY_RUN_REPORT_HEADERS.length).setValues(rows);
+  Services.sheets.flush();
+  logInfo_(`Report written to "${DRY_RUN_REPORT_SHEET_NAME}" (${report.length} action(s)).`);
+}
+
+function dryRunProcessNewRecordings() {
+  requireScriptEditor_("dryRunProcessNewRecordings");
+  runDryRun_("processNewRecordings", () => processNewRecordings_());
+}
+
+function dryRunProcessCompletedTranscripts() {
+  requireScriptEditor_("dryRunProcessCompletedTranscripts");
+  runDryRun_("processCompletedTranscripts", () => processCompletedTranscripts_());
+}
+
+function dryRunAssignHomework_(studentEmail, transcriptFileNames) {
+  return runDryRun_(`assignHomework ${studentEmail}`, () => assignHomework_(studentEmail, transcriptFileNames));
+}
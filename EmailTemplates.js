@@ -0,0 +1,129 @@
+/**
+ * ======================================================================
+ * STUDENT EMAIL TEMPLATES
+ * ======================================================================
+ * Homework and reminder emails are built from EMAIL_TEMPLATES in the
+ * student's language, as both an HTML body (with a button for the portal
+ * link) and a plain-text body for mail clients without HTML.
+ *
+ * The language comes from the roster Preferred_Language column ("es",
+ * "Spanish", "Español", "es-GT", ...), falling back to EMAIL_DEFAULT_LANGUAGE
+ * (default "en"). Placeholders: {{first_name}}, {{hw_id}},
+ * {{question_count}}, {{days_left}}. The portal link is placed after the
+ * paragraph at `linkAfter`.
+ *
+ * To add a language, add a block below with the same keys and list its
+ * code in CONFIG_PROPERTIES.EMAIL_DEFAULT_LANGUAGE.
+ */
+
+const EMAIL_TEMPLATES = {
+  en: {
+    homework_assigned: {
+      subject: "Your new homework is ready (ID: {{hw_id}})",
+      paragraphs: [
+        "Hi {{first_name}},",
+        "Your practice set based on your last class is ready. Click the link below to open it in your portal:",
+        "Remember: complete all {{question_count}} turns with the Homework GPT, then hit Done ✅ to turn in your homework.",
+        "Good luck!"
+      ],
+      linkAfter: 1,
+      button: "Open my homework"
+    },
+    homework_reminder: {
+      subject: "Reminder: your homework is waiting (ID: {{hw_id}})",
+      paragraphs: [
+        "Hi {{first_name}},",
+        "Just a friendly reminder that your practice set from your last class is still open. You have {{days_left}} day(s) left to finish it:",
+        "When you are done, hit Done ✅ to turn in your homework.",
+        "See you in class!"
+      ],
+      linkAfter: 1,
+      button: "Finish my homework"
+    },
+    fallback_first_name: "Student"
+  },
+  es: {
+    homework_assigned: {
+      subject: "Tu nueva tarea está lista (ID: {{hw_id}})",
+      paragraphs: [
+        "Hola {{first_name}}:",
+        "Tu práctica basada en tu última clase ya está lista. Haz clic en el enlace de abajo para abrirla en tu portal:",
+        "Recuerda: completa los {{question_count}} turnos con el Homework GPT y luego presiona Done ✅ para entregar tu tarea.",
+        "¡Mucha suerte!"
+      ],
+      linkAfter: 1,
+      button: "Abrir mi tarea"
+    },
+    homework_reminder: {
+      subject: "Recordatorio: tu tarea te espera (ID: {{hw_id}})",
+      paragraphs: [
+        "Hola {{first_name}}:",
+        "Te recordamos que la práctica de tu última clase sigue abierta. Te quedan {{days_left}} día(s) para terminarla:",
+        "Cuando termines, presiona Done ✅ para entregar tu tarea.",
+        "¡Nos vemos en clase!"
+      ],
+      linkAfter: 1,
+      button: "Terminar mi tarea"
+    },
+    fallback_first_name: "estudiante"
+  }
+};
+
+/* --- Language names accepted in Preferred_Language, after normalizeNameKey_ --- */
+const EMAIL_LANGUAGE_NAMES = {
+  english: "en", ingles: "en",
+  spanish: "es", espanol: "es", castellano: "es"
+};
+
+/**
+ * Maps a roster Preferred_Language value to a key of EMAIL_TEMPLATES.
+ */
+function resolveEmailLanguage_(preferredLanguage) {
+  const key = normalizeNameKey_(preferredLanguage);
+  const code = EMAIL_LANGUAGE_NAMES[key] || key.split(/[\s_-]/)[0];
+  return EMAIL_TEMPLATES[code] ? code : getConfig_().EMAIL_DEFAULT_LANGUAGE;
+}
+
+function escapeHtml_(text) {
+  return String(text)
+    .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;").replace(/'/g, "&#39;");
+}
+
+function fillEmailPlaceholders_(text, values) {
+  return text.replace(/\{\{\s*([a-z_]+)\s*\}\}/g, (placeholder, name) =>
+    Object.prototype.hasOwnProperty.call(values, name) ? String(values[name]) : placeholder);
+}
+
+/**
+ * Builds { subject, body, htmlBody, language } for a student.
+ * `kind` is a template key (homework_assigned | homework_reminder); `values`
+ * fills the placeholders and must include portal_link.
+ */
+function buildStudentEmail_(kind, student, values) {
+  const language = resolveEmailLanguage_(student.Preferred_Language);
+  const strings = EMAIL_TEMPLATES[language];
+  const template = strings[kind];
+  if (!template) throw new Error(`No "${kind}" email template for language "${language}".`);
+
+  const firstName = String(student.Name || "").split(' ')[0] || strings.fallback_first_name;
+  const filled = Object.assign({ first_name: firstName }, values);
+  const paragraphs = template.paragraphs.map(p => fillEmailPlaceholders_(p, filled));
+  const link = values.portal_link;
+
+  const textParts = paragraphs.slice();
+  textParts.splice(template.linkAfter + 1, 0, link);
+
+  const button = `<p style="margin:24px 0;"><a href="${escapeHtml_(link)}" style="background:#1a73e8;color:#ffffff;` +
+    `padding:12px 24px;border-radius:6px;text-decoration:none;font-weight:bold;display:inline-block;">` +
+    `${escapeHtml_(template.button)}</a></p>`;
+  const htmlParts = paragraphs.map(p => `<p style="margin:0 0 16px;">${escapeHtml_(p)}</p>`);
+  htmlParts.splice(template.linkAfter + 1, 0, button);
+
+  return {
+    language,
+    subject: fillEmailPlaceholders_(template.subject, filled),
+    body: `${textParts.join("\n\n")}\n`,
+    htmlBody: `<div style="font-family:Arial,Helvetica,sans-serif;font-size:15px;line-height:1.5;color:#202124;">${htmlParts.join("")}</div>`
+  };
+}
@@ -0,0 +1,123 @@
+/**
+ * ======================================================================
+ * CONFIGURATION HEALTH CHECKS
+ * ======================================================================
+ * Each HEALTH_CHECKS entry tests one thing the pipeline depends on and
+ * returns a detail string (status "ok"), or { status: "warning", detail }
+ * for something that works but needs attention; throwing marks it "error".
+ * runHealthChecks_() runs them all for the dashboard (Dashboard.js);
+ * logHealthChecks_() backs testFileAccess, testStudentRosterAccess and
+ * checkCloudRunUrl in the editor.
+ */
+
+const HEALTH_CHECKS = [
+  {
+    id: "config", label: "Configuration",
+    run: () => {
+      getConfig_();
+      return `${Object.keys(CONFIG_PROPERTIES).length} Script Properties checked.`;
+    }
+  },
+  {
+    id: "monitored_folders", label: "Monitored folders",
+    run: () => {
+      const sources = loadMonitoredFolders_();
+      const failed = [];
+      const names = sources.map(source => {
+        try {
+          return `"${Services.drive.getFolderById(source.folderId).getName()}"${source.teacherEmail ? ` (${source.teacherEmail})` : ""}`;
+        } catch (e) {
+          failed.push(`${source.label}: ${e.message}`);
+          return null;
+        }
+      }).filter(Boolean);
+      if (failed.length === sources.length) throw new Error(failed.join("; "));
+      const detail = `Accessed ${names.length} of ${sources.length} folder(s): ${names.join(", ")}.`;
+      return failed.length ? { status: "warning", detail: `${detail} Not accessible: ${failed.join("; ")}.` } : detail;
+    }
+  },
+  {
+    id: "tracking_sheet", label: "Tracking spreadsheet",
+    run: config => {
+      const ss = Services.sheets.openById(config.TRACKING_SHEET_ID);
+      const jobs = ss.getSheetByName(JOBS_SHEET_NAME);
+      if (!jobs) return { status: "warning", detail: `"${ss.getName()}" has no "${JOBS_SHEET_NAME}" tab yet; run setup().` };
+      return `"${ss.getName()}": ${Math.max(jobs.getLastRow() - 1, 0)} job row(s).`;
+    }
+  },
+  {
+    id: "roster", label: "Student roster",
+    run: () => {
+      const roster = readRoster_();
+      return `"${roster.sheet.getParent().getName()}": ${roster.students.length} student(s).`;
+    }
+  },
+  {
+    id: "ledger", label: "Homework ledger",
+    run: config => {
+      const ledger = openLedger_();
+      return `"${config.HOMEWORK_SHEET_NAME}": ${Math.max(ledger.sheet.getLastRow() - 1, 0)} homework row(s).`;
+    }
+  },
+  {
+    id: "cloud_run", label: "Cloud Run",
+    run: config => {
+      const urls = Array.from(new Set([config.CLOUD_RUN_URL].concat(loadMonitoredFolders_().map(s => s.cloudRunUrl))));
+      const endpoints = urls.map(url => {
+        const token = getCloudRunIdToken_(true, url);
+        const auth = token ? `ID token minted (${config.CLOUD_RUN_AUTH}, audience ${cloudRunAudienceFor_(url)})` : "no authentication";
+        return `${url}: ${auth}`;
+      });
+      const signing = config.REQUEST_SIGNING_SECRET ? "requests signed" : "requests not signed";
+      return `${endpoints.join("; ")}; ${signing}.`;
+    }
+  },
+  {
+    id: "homework_portal", label: "Homework portal",
+    run: config => config.HOMEWORK_PORTAL_BASEURL
+      ? `Links point to ${config.HOMEWORK_PORTAL_BASEURL}.`
+      : { status: "warning", detail: "HOMEWORK_PORTAL_BASEURL is not set; homework emails are skipped." }
+  },
+  {
+    id: "mail_quota", label: "Mail quota",
+    run: () => {
+      const remaining = Services.mail.getRemainingDailyQuota();
+      const detail = `${remaining} recipient(s) left today.`;
+      return remaining > 0 ? detail : { status: "warning", detail: `${detail} New emails are queued.` };
+    }
+  }
+];
+
+/**
+ * Runs the checks with the given ids (default: all) and returns
+ * [{ id, label, status, detail }]. Checks after a failed configuration
+ * check are reported as skipped.
+ */
+function runHealthChecks_(ids) {
+  let config = null;
+  return HEALTH_CHECKS.filter(check => !ids || ids.indexOf(check.id) !== -1).map(check => {
+    try {
+      if (check.id !== "config") config = config || getConfig_();
+      const result = check.run(config);
+      const outcome = typeof result === "string" ? { status: "ok", detail: result } : result;
+      return { id: check.id, label: check.label, status: outcome.status, detail: outcome.detail };
+    } catch (e) {
+      const skipped = e instanceof ConfigError && check.id !== "config";
+      return {
+        id: check.id, label: check.label, status: skipped ? "skipped" : "error",
+        detail: skipped ? "Configuration is invalid." : e.message
+      };
+    }
+  });
+}
+
+/**
+ * Runs the configuration check plus the given ones and writes one log line
+ * per check. Returns true if none failed.
+ */
+function logHealthChecks_(ids) {
+  const results = runHealthChecks_(ids ? ["config"].concat(ids) : null);
+  const levels = { ok: "info", warning: "warn", error: "error" };
+  results.forEach(r => writeLogEntry_(levels[r.status] || "info", `${r.status.toUpperCase()} ${r.label}: ${r.detail}`, { check: r.id }));
+  return results.every(r => r.status === "ok" || r.status === "warning");
+}
@@ -0,0 +1,85 @@
+/**
+ * ======================================================================
+ * HOMEWORK BATCHING POLICY
+ * ======================================================================
+ * Decides how processCompletedTranscripts_ groups a student's new transcripts
+ * into homework assignments. Set per student with the roster column
+ * Homework_Batching, or globally with the HOMEWORK_BATCHING property
+ * (validated by getConfig_):
+ *   per_session      one homework per class date (default)
+ *   weekly           one combined homework per Monday-Sunday week, assigned
+ *                    once that week is over
+ *   min_sessions:N   one combined homework once N class dates are waiting
+ */
+
+/**
+ * Parses a policy string into { type, minSessions }. Unknown values fall back to per_session.
+ */
+function parseBatchingPolicy_(value) {
+  const raw = String(value || "").toLowerCase().trim();
+  const minMatch = raw.match(/^min_sessions\s*[:= ]\s*(\d+)$/);
+  if (minMatch) return { type: "min_sessions", minSessions: Math.max(parseInt(minMatch[1], 10), 1) };
+  if (raw === "weekly") return { type: "weekly", minSessions: 1 };
+  if (raw && raw !== "per_session") logWarn_(`Unknown batching policy "${value}"; using per_session.`);
+  return { type: "per_session", minSessions: 1 };
+}
+
+/**
+ * Student-level policy wins over the HOMEWORK_BATCHING property.
+ */
+function resolveBatchingPolicy_(studentPolicy) {
+  return parseBatchingPolicy_(studentPolicy || getConfig_().HOMEWORK_BATCHING);
+}
+
+/**
+ * Class date (yyyy-MM-dd) encoded in a transcript name like "Name_2024-07-01_abcdef1234.txt".
+ */
+function classDateFromTranscriptName_(transcriptName) {
+  const match = String(transcriptName).match(/_(\d{4}-\d{2}-\d{2})(?:_[A-Za-z0-9_-]{10})?\.txt$/i);
+  return match ? match[1] : "";
+}
+
+/**
+ * Monday (yyyy-MM-dd) of the week containing a yyyy-MM-dd date.
+ */
+function weekStartOf_(classDate) {
+  const date = new Date(`${classDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  return date.toISOString().substring(0, 10);
+}
+
+/**
+ * Groups transcripts ({ fileId, name, classDate }) into the batches to assign
+ * now. Transcripts held back by the policy are left out and stay pending in
+ * the Transcript_Index until a later run.
+ */
+function planHomeworkBatches_(transcripts, policy, now) {
+  const sorted = transcripts.slice().sort((a, b) => a.classDate.localeCompare(b.classDate));
+  const groupBy = keyFn => {
+    const groups = new Map();
+    sorted.forEach(t => {
+      const key = keyFn(t);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(t);
+    });
+    return groups;
+  };
+
+  if (policy.type === "min_sessions") {
+    const sessions = new Set(sorted.map(t => t.classDate));
+    return sessions.size >= policy.minSessions ? [sorted] : [];
+  }
+
+  if (policy.type === "weekly") {
+    const batches = [];
+    const weekMs = 7 * 24 * 60 * 60 * 1000;
+    groupBy(t => weekStartOf_(t.classDate)).forEach((group, weekStart) => {
+      if (now.getTime() >= new Date(`${weekStart}T00:00:00Z`).getTime() + weekMs) {
+        batches.push(group);
+      }
+    });
+    return batches;
+  }
+
+  return Array.from(groupBy(t => t.classDate).values());
+}
@@ -0,0 +1,168 @@
+/**
+ * ======================================================================
+ * HOMEWORK PORTAL ENDPOINTS
+ * ======================================================================
+ * Called by the homework portal through doPost, keyed by the token that
+ * saveHomeworkPrompt_ stored in the ledger:
+ *   action=homework_open    { token }            -> counts the open, returns the prompt
+ *   action=homework_submit  { token, chatLog }   -> saves the chat log, marks 'Submitted'
+ * Tokens are rejected when unknown, already submitted, not 'Active', or older
+ * than HOMEWORK_TOKEN_TTL_DAYS (default 14). Ledger columns: see Ledger.js.
+ * Every open, submission and rejected token is recorded in the Audit_Log.
+ * Both run under the script lock and read the ledger row only once they hold
+ * it, so simultaneous opens or a double-clicked submit update the row one
+ * after the other.
+ */
+
+/**
+ * Finds the ledger row for a homework token. Returns { ledger, entry } or null,
+ * where entry is the row keyed by LEDGER_SCHEMA field.
+ */
+function findLedgerEntryByToken_(token) {
+  const target = String(token || "").trim();
+  if (!target) return null;
+
+  const ledger = openLedger_();
+  const entry = readLedgerEntries_(ledger).find(e => String(e.Token).trim() === target);
+  return entry ? { ledger, entry } : null;
+}
+
+/**
+ * Returns a rejection message for a ledger lookup, or null if the token may be used.
+ */
+function validateHomeworkToken_(found) {
+  if (!found) return "Unknown homework token.";
+
+  const entry = found.entry;
+  const status = String(entry.Status).trim();
+  if (status === "Submitted" || entry.Completed_At) return "This homework has already been submitted.";
+  if (status !== "Active") return `This homework is no longer available (status: ${status || "unknown"}).`;
+
+  const created = new Date(entry.Created_At);
+  const ttlMs = getConfig_().HOMEWORK_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000;
+  if (!isNaN(created.getTime()) && Date.now() - created.getTime() > ttlMs) return "This homework link has expired.";
+  return null;
+}
+
+/**
+ * Audits a rejected portal call under its homework ID (or "unknown token").
+ */
+function auditPortalRejection_(found, requestAction, rejection) {
+  recordAudit_("portal_rejected", found ? found.entry.HW_ID : "unknown token",
+    { action: requestAction, reason: rejection }, found ? found.entry.Student_ID : "");
+}
+
+/**
+ * Runs a portal request under the script lock. Returns a "busy" response
+ * (after logging) if a trigger run holds the lock.
+ */
+function withPortalLock_(requestAction, fn) {
+  const lock = acquireScriptLock_(`doPost ${requestAction}`);
+  if (!lock) return { ok: false, error: "The homework service is busy. Please try again in a minute." };
+  try {
+    return fn();
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+function handleHomeworkOpen_(payload) {
+  return withPortalLock_("homework_open", () => openHomework_(payload));
+}
+
+function handleHomeworkSubmit_(payload) {
+  return withPortalLock_("homework_submit", () => submitHomework_(payload));
+}
+
+/**
+ * Records a portal open and returns the homework prompt.
+ */
+function openHomework_(payload) {
+  const found = findLedgerEntryByToken_(payload.token);
+  const rejection = validateHomeworkToken_(found);
+  if (rejection) {
+    logWarn_(`Rejected homework open: ${rejection}`);
+    auditPortalRejection_(found, "homework_open", rejection);
+    return { ok: false, error: rejection };
+  }
+
+  const entry = found.entry;
+  const openCount = (Number(entry.Open_Count) || 0) + 1;
+  updateLedgerRow_(found.ledger, entry.rowIndex, { Open_Count: openCount });
+  Services.sheets.flush();
+
+  const hwId = String(entry.HW_ID);
+  let prompt = "";
+  try {
+    prompt = Services.drive.getFileById(entry.Prompt_File_ID).getBlob().getDataAsString();
+  } catch (e) {
+    logError_("Could not read the homework prompt file.", { hwId, fileId: entry.Prompt_File_ID, error: e });
+    return { ok: false, error: "Homework prompt is unavailable." };
+  }
+
+  logInfo_(`Homework opened (count: ${openCount}).`, { hwId });
+  recordAudit_("portal_open", hwId, { openCount }, entry.Student_ID);
+  return {
+    ok: true,
+    hwId,
+    studentFirstName: String(entry.Student_Name || "").split(' ')[0],
+    openCount,
+    prompt
+  };
+}
+
+/**
+ * Turns the portal's chat log (a string, or an array of { role, content }) into plain text.
+ */
+function formatChatLog_(chatLog) {
+  if (Array.isArray(chatLog)) {
+    return chatLog.map(turn => `${turn.role || "unknown"}: ${turn.content || ""}`).join("\n\n");
+  }
+  return String(chatLog || "");
+}
+
+/**
+ * Stores a submitted chat log in the student's folder and closes the ledger row.
+ */
+function submitHomework_(payload) {
+  const found = findLedgerEntryByToken_(payload.token);
+  const rejection = validateHomeworkToken_(found);
+  if (rejection) {
+    logWarn_(`Rejected homework submission: ${rejection}`);
+    auditPortalRejection_(found, "homework_submit", rejection);
+    return { ok: false, error: rejection };
+  }
+
+  const chatText = formatChatLog_(payload.chatLog).trim();
+  if (!chatText) return { ok: false, error: "Submission must include the chat log." };
+
+  const hwId = String(found.entry.HW_ID);
+  const studentEmail = String(found.entry.Student_Email);
+  const student = rosterFindByEmail_(studentEmail);
+  if (!student || !student.Drive_Folder_ID) {
+    logError_(`No Drive_Folder_ID for ${studentEmail}.`, { hwId });
+    return { ok: false, error: "Student folder not found." };
+  }
+
+  const submittedAt = new Date();
+  const stamp = Utilities.formatDate(submittedAt, Session.getScriptTimeZone(), "yyyy-MM-dd_HHmm");
+  const logFileName = `chatlog_${hwId}_${stamp}.txt`;
+  let logFile;
+  try {
+    logFile = Services.drive.getFolderById(student.Drive_Folder_ID).createFile(logFileName, chatText, MimeType.PLAIN_TEXT);
+  } catch (e) {
+    logError_("Could not save the chat log.", { hwId, folderId: student.Drive_Folder_ID, error: e });
+    return { ok: false, error: "Could not save the chat log." };
+  }
+
+  updateLedgerRow_(found.ledger, found.entry.rowIndex, {
+    Completed_At       : submittedAt.toISOString(),
+    Status             : "Submitted",
+    Submission_File_ID : logFile.getId()
+  });
+  Services.sheets.flush();
+
+  logInfo_(`Homework submitted by ${studentEmail}; chat log saved as "${logFileName}".`, { hwId });
+  recordAudit_("portal_submit", hwId, { submissionFileId: logFile.getId() }, found.entry.Student_ID);
+  return { ok: true, hwId, status: "Submitted" };
+}
@@ -0,0 +1,117 @@
+/**
+ * ======================================================================
+ * HOMEWORK REMINDERS AND EXPIRY
+ * ======================================================================
+ * sendHomeworkReminders_() runs on the daily trigger setup() installs, under
+ * the script lock like every other job that updates the ledger. For
+ * every 'Active' ledger row it either:
+ *   - marks it 'Expired' once it is older than HOMEWORK_TOKEN_TTL_DAYS
+ *     (validateHomeworkToken_ then rejects the portal token), or
+ *   - emails a reminder when it has passed the next HOMEWORK_REMINDER_DAYS
+ *     threshold (default "2,5") that has not been reminded yet.
+ * Reminder_Count and Last_Reminded ledger columns keep reminders from being
+ * sent twice. Students with a truthy Pause_Reminders roster column are skipped.
+ * Reminders use the student's Preferred_Language (see EmailTemplates.js) and
+ * are queued rather than sent once the daily mail quota runs out (MailQueue.js).
+ */
+
+const REMINDER_MIN_GAP_HOURS = 20;
+
+function isTruthyCell_(value) {
+  return value === true || /^(true|yes|y|x|1|s[ií])$/i.test(String(value || "").trim());
+}
+
+/**
+ * Roster students keyed by lowercased email.
+ */
+function loadRosterByEmail_() {
+  const byEmail = new Map();
+  readRoster_().students.forEach(student => {
+    if (student.Email) byEmail.set(student.Email.toLowerCase(), student);
+  });
+  return byEmail;
+}
+
+function sendHomeworkReminders_() {
+  beginLogRun_("sendHomeworkReminders");
+  const config = loadConfigOrLog_("sendHomeworkReminders");
+  if (!config) {
+    finishLogRun_("sendHomeworkReminders");
+    return;
+  }
+  const lock = acquireScriptLock_("sendHomeworkReminders");
+  if (!lock) {
+    finishLogRun_("sendHomeworkReminders");
+    return;
+  }
+  try {
+    runHomeworkReminders_(config);
+  } catch (e) {
+    logError_("An unexpected error occurred.", { error: e });
+  } finally {
+    finishLogRun_("sendHomeworkReminders");
+    lock.releaseLock();
+  }
+}
+
+function runHomeworkReminders_(config) {
+  logInfo_("Starting homework reminder run...");
+
+  const ledger = openLedger_();
+  const portalBaseUrl = config.HOMEWORK_PORTAL_BASEURL;
+  if (!portalBaseUrl) logError_("HOMEWORK_PORTAL_BASEURL property not set. Reminders will not be sent.");
+
+  const thresholds = config.HOMEWORK_REMINDER_DAYS;
+  const ttlDays = config.HOMEWORK_TOKEN_TTL_DAYS;
+  const rosterByEmail = loadRosterByEmail_();
+  const dayMs = 24 * 60 * 60 * 1000;
+  const now = Date.now();
+  let expiredCount = 0;
+  let sentCount = 0;
+
+  readLedgerEntries_(ledger).forEach(entry => {
+    if (String(entry.Status).trim() !== "Active" || entry.Completed_At) return;
+
+    const created = new Date(entry.Created_At);
+    if (isNaN(created.getTime())) return;
+    const ageDays = (now - created.getTime()) / dayMs;
+    const hwId = String(entry.HW_ID);
+    const studentEmail = String(entry.Student_Email).trim();
+
+    if (ageDays > ttlDays) {
+      updateLedgerRow_(ledger, entry.rowIndex, { Status: "Expired" });
+      expiredCount++;
+      logInfo_(`Homework for ${studentEmail} expired after ${ttlDays} days.`, { hwId });
+      return;
+    }
+
+    const student = rosterByEmail.get(studentEmail.toLowerCase()) || { Name: entry.Student_Name };
+    if (!portalBaseUrl || !studentEmail || isTruthyCell_(student.Pause_Reminders)) return;
+
+    const remindersSent = Number(entry.Reminder_Count) || 0;
+    const remindersDue = thresholds.filter(d => ageDays >= d).length;
+    if (remindersSent >= remindersDue) return;
+
+    const lastReminded = entry.Last_Reminded ? new Date(entry.Last_Reminded) : null;
+    if (lastReminded && now - lastReminded.getTime() < REMINDER_MIN_GAP_HOURS * 60 * 60 * 1000) return;
+
+    const daysLeft = Math.max(Math.ceil(ttlDays - ageDays), 0);
+    try {
+      const email = buildStudentEmail_("homework_reminder", student, {
+        hw_id: hwId,
+        days_left: daysLeft,
+        portal_link: homeworkPortalLink_(portalBaseUrl, entry.Token)
+      });
+      const outcome = sendOrQueueEmail_({ to: studentEmail, subject: email.subject, body: email.body, htmlBody: email.htmlBody },
+        "homework_reminder", hwId);
+      updateLedgerRow_(ledger, entry.rowIndex, { Reminder_Count: remindersSent + 1, Last_Reminded: new Date() });
+      sentCount++;
+      logInfo_(`Reminder ${remindersSent + 1} ${outcome} for ${studentEmail} (${email.language}).`, { hwId });
+    } catch (e) {
+      logError_(`Could not send a reminder to ${studentEmail}.`, { hwId, error: e });
+    }
+  });
+
+  Services.sheets.flush();
+  logInfo_(`Finished. Sent or queued ${sentCount} reminder(s), expired ${expiredCount} homework(s).`);
+}
@@ -0,0 +1,196 @@
+/**
+ * ======================================================================
+ * JOBS SHEET - SCHEMA HELPERS AND CLOUD RUN PROGRESS EVENTS
+ * ======================================================================
+ * The "Jobs" tab in TRACKING_SHEET_ID holds one row per recording sent to
+ * Cloud Run. Columns are resolved by header name so older sheets that only
+ * have the original four columns are extended in place.
+ *
+ * Progress events are applied under the script lock, like every other Jobs
+ * update. While a trigger run holds the lock the event is answered with
+ * { ok: false, retryable: true } and Cloud Run should send it again later.
+ */
+
+const JOBS_SHEET_NAME = "Jobs";
+const JOBS_HEADERS = [
+  "File Name", "Job ID", "Status", "Timestamp", "File ID", "Transcript File ID", "Error",
+  "Attempts", "Next Retry At", "Student ID", "Student Name", "Filed Folder ID", "Source Folder ID", "Teacher Email",
+  "Media Type", "Companion File ID", "Deleted At"
+];
+
+/* --- Cloud Run progress event -> Status written to the Jobs sheet --- */
+const JOB_EVENT_STATUS = {
+  accepted           : "accepted",
+  transcribing       : "transcribing",
+  transcript_written : "transcript_written",
+  failed             : "transcription_failed"
+};
+
+/* --- Ordering used to ignore late, out-of-order events --- */
+const JOB_STATUS_RANK = {
+  sending_to_cloudrun      : 0,
+  cloudrun_error           : 0,
+  dead_letter              : 0,
+  processing_transcription : 1,
+  accepted                 : 2,
+  transcribing             : 3,
+  transcription_failed     : 4,
+  transcript_written       : 5
+};
+
+/**
+ * True when a job at `currentStatus` must not move to `newStatus` because the
+ * new status ranks lower. A late "failed" cannot overwrite transcript_written,
+ * while a transcript written after a failure replaces transcription_failed.
+ */
+function isStaleJobStatus_(currentStatus, newStatus) {
+  const currentRank = JOB_STATUS_RANK[currentStatus] ?? 0;
+  const newRank = JOB_STATUS_RANK[newStatus] ?? 0;
+  return newRank < currentRank;
+}
+
+/**
+ * Returns the Jobs sheet, creating it and adding any missing header columns.
+ */
+function getJobsSheet_(ss) {
+  const sheet = ss.getSheetByName(JOBS_SHEET_NAME) || ss.insertSheet(JOBS_SHEET_NAME);
+  if (sheet.getLastRow() === 0) {
+    sheet.appendRow(JOBS_HEADERS);
+    Services.sheets.flush();
+    return sheet;
+  }
+
+  const lastCol = sheet.getLastColumn();
+  const header = sheet.getRange(1, 1, 1, lastCol).getValues()[0].map(h => String(h).trim());
+  const missing = JOBS_HEADERS.filter(h => header.indexOf(h) === -1);
+  if (missing.length > 0) {
+    sheet.getRange(1, lastCol + 1, 1, missing.length).setValues([missing]);
+    Services.sheets.flush();
+    logInfo_(`Added missing Jobs header column(s): ${missing.join(', ')}`);
+  }
+  return sheet;
+}
+
+/**
+ * Maps each Jobs header name to its 1-based column number.
+ */
+function getJobsColumns_(sheet) {
+  const header = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0].map(h => String(h).trim());
+  const cols = {};
+  JOBS_HEADERS.forEach(name => { cols[name] = header.indexOf(name) + 1; });
+  return cols;
+}
+
+/**
+ * Appends a Jobs row from an object keyed by header name. Returns the new row number.
+ */
+function appendJobRow_(sheet, cols, fields) {
+  const row = new Array(sheet.getLastColumn()).fill("");
+  Object.keys(fields).forEach(name => {
+    if (cols[name]) row[cols[name] - 1] = fields[name];
+  });
+  sheet.appendRow(row);
+  return sheet.getLastRow();
+}
+
+/**
+ * Writes the given header-keyed fields into an existing Jobs row.
+ */
+function updateJobRow_(sheet, cols, rowIndex, fields) {
+  Object.keys(fields).forEach(name => {
+    if (cols[name]) sheet.getRange(rowIndex, cols[name]).setValue(fields[name]);
+  });
+}
+
+/**
+ * Records Cloud Run's acknowledgement on a Jobs row: writes `fields` and moves
+ * Status to processing_transcription (clearing Error), unless a progress
+ * event that arrived during the request already moved it further. Returns
+ * the row's status.
+ */
+function markJobSubmitted_(sheet, cols, rowIndex, fields) {
+  const currentStatus = String(sheet.getRange(rowIndex, cols["Status"]).getValue()).trim();
+  if (isStaleJobStatus_(currentStatus, "processing_transcription")) {
+    updateJobRow_(sheet, cols, rowIndex, fields);
+    return currentStatus;
+  }
+  updateJobRow_(sheet, cols, rowIndex, Object.assign({ "Status": "processing_transcription", "Timestamp": new Date(), "Error": "" }, fields));
+  return "processing_transcription";
+}
+
+/**
+ * Finds a Jobs row by Drive file ID, falling back to the (renamed) file name.
+ * Returns the 1-based row number, or -1 if no row matches.
+ */
+function findJobRow_(sheet, cols, fileId, fileName) {
+  const values = sheet.getDataRange().getValues();
+  const targetId = String(fileId || "").trim();
+  const targetName = String(fileName || "").trim();
+
+  if (targetId && cols["File ID"]) {
+    for (let r = values.length - 1; r >= 1; r--) {
+      if (String(values[r][cols["File ID"] - 1]).trim() === targetId) return r + 1;
+    }
+  }
+  if (targetName) {
+    for (let r = values.length - 1; r >= 1; r--) {
+      if (String(values[r][cols["File Name"] - 1]).trim() === targetName) return r + 1;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Applies a Cloud Run progress event to its Jobs row under the script lock.
+ * Expected payload: { event, jobId, fileId, fileName, transcriptFileId, error }
+ * where event is one of accepted | transcribing | transcript_written | failed.
+ */
+function handleJobEvent_(payload) {
+  const lock = acquireScriptLock_("doPost job_event");
+  if (!lock) return { ok: false, retryable: true, error: "Another run is updating the Jobs sheet. Retry the event later." };
+  try {
+    return applyJobEvent_(payload);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * handleJobEvent_ without the lock.
+ */
+function applyJobEvent_(payload) {
+  const event = String(payload.event || "").trim();
+  const newStatus = JOB_EVENT_STATUS[event];
+  if (!newStatus) return { ok: false, error: `Unknown job event "${event}".` };
+  if (!payload.fileId && !payload.fileName) return { ok: false, error: "Event must include fileId or fileName." };
+
+  const sheet = getJobsSheet_(Services.sheets.openById(getConfig_().TRACKING_SHEET_ID));
+  const cols = getJobsColumns_(sheet);
+  const rowIndex = findJobRow_(sheet, cols, payload.fileId, payload.fileName);
+  if (rowIndex === -1) {
+    logWarn_(`No Jobs row for "${event}" event.`, { fileId: payload.fileId, fileName: payload.fileName });
+    return { ok: false, error: "Job not found." };
+  }
+
+  const currentStatus = String(sheet.getRange(rowIndex, cols["Status"]).getValue()).trim();
+  if (isStaleJobStatus_(currentStatus, newStatus)) {
+    logInfo_(`Ignoring late "${event}" for row ${rowIndex}; status is already ${currentStatus}.`, { fileId: payload.fileId });
+    return { ok: true, ignored: true, status: currentStatus };
+  }
+
+  const fields = { "Status": newStatus, "Timestamp": new Date() };
+  if (payload.jobId) fields["Job ID"] = String(payload.jobId);
+  if (payload.fileId) fields["File ID"] = String(payload.fileId);
+  if (payload.transcriptFileId) fields["Transcript File ID"] = String(payload.transcriptFileId);
+  if (event === "failed") fields["Error"] = String(payload.error || "Cloud Run reported a failure.");
+
+  updateJobRow_(sheet, cols, rowIndex, fields);
+  Services.sheets.flush();
+  const fileId = payload.fileId || sheet.getRange(rowIndex, cols["File ID"]).getValue() || undefined;
+  if (event === "failed") {
+    logError_("Cloud Run reported a failure.", { fileId, jobId: payload.jobId, error: fields["Error"] });
+  } else {
+    logInfo_(`Row ${rowIndex} -> ${newStatus}`, { fileId, jobId: payload.jobId });
+  }
+  return { ok: true, status: newStatus };
+}
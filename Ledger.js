@@ -0,0 +1,108 @@
+/**
+ * ======================================================================
+ * HOMEWORK LEDGER - NAMED COLUMN SCHEMA
+ * ======================================================================
+ * The HOMEWORK_SHEET_NAME tab of the roster spreadsheet holds one row per
+ * assigned homework. Rows are read and written by header name, never by
+ * position. Missing columns are appended to older ledgers as needed; when a
+ * core column had to be added, its cells in existing rows start out blank.
+ */
+
+/* --- Ledger header -> accepted alternative header texts --- */
+const LEDGER_SCHEMA = {
+  Student_ID            : { header: "Student_ID", core: true },
+  Student_Name          : { header: "Student_Name", core: true, aliases: ["Name"] },
+  Student_Email         : { header: "Student_Email", core: true, aliases: ["Email"] },
+  HW_ID                 : { header: "HW_ID", core: true, aliases: ["Homework_ID"] },
+  Prompt_File_ID        : { header: "Prompt_File_ID", core: true },
+  Token                 : { header: "Token", core: true },
+  Created_At            : { header: "Created_At", core: true, aliases: ["Created", "Created_ISO"] },
+  Completed_At          : { header: "Completed_At", core: true, aliases: ["Completed", "Completed_ISO"] },
+  Status                : { header: "Status", core: true },
+  Open_Count            : { header: "Open_Count", core: true, aliases: ["Opens"] },
+  Template_Version      : { header: "Template_Version" },
+  Transcript_File_IDs   : { header: "Transcript_File_IDs" },
+  Submission_File_ID    : { header: "Submission_File_ID" },
+  Reminder_Count        : { header: "Reminder_Count" },
+  Last_Reminded         : { header: "Last_Reminded" },
+  Prompt_Deleted_At     : { header: "Prompt_Deleted_At" },
+  Submission_Deleted_At : { header: "Submission_Deleted_At" }
+};
+
+/**
+ * Returns the ledger tab, creating it with every header if it does not exist
+ * and appending missing headers to an existing one.
+ */
+function getLedgerSheet_(rosterSS, config) {
+  const name = config.HOMEWORK_SHEET_NAME;
+  let sheet = rosterSS.getSheetByName(name);
+  if (!sheet) {
+    sheet = rosterSS.insertSheet(name);
+    logInfo_(`Created ledger sheet "${name}".`);
+  }
+  if (sheet.getLastRow() === 0) {
+    addMissingHeaders_(sheet, LEDGER_SCHEMA);
+    return sheet;
+  }
+
+  const added = addMissingHeaders_(sheet, LEDGER_SCHEMA);
+  if (added.length > 0) logInfo_(`Added missing ledger header column(s): ${added.join(", ")}`);
+  const addedCore = Object.keys(LEDGER_SCHEMA).filter(field => LEDGER_SCHEMA[field].core && added.indexOf(LEDGER_SCHEMA[field].header) !== -1);
+  if (addedCore.length > 0 && sheet.getLastRow() > 1) {
+    logWarn_(`Ledger "${name}" had no ${addedCore.join(", ")} column; existing rows are blank there. Rename the old headers if the values were kept under another name.`);
+  }
+  return sheet;
+}
+
+/**
+ * Maps each ledger field to its 1-based column number.
+ */
+function getLedgerColumns_(sheet) {
+  return resolveColumns_(sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0], LEDGER_SCHEMA);
+}
+
+/**
+ * Opens the configured ledger as { sheet, cols }.
+ */
+function openLedger_() {
+  const config = getConfig_();
+  const sheet = getLedgerSheet_(Services.sheets.openById(config.STUDENT_ROSTER_ID), config);
+  return { sheet, cols: getLedgerColumns_(sheet) };
+}
+
+/**
+ * Reads every ledger row as { rowIndex, <field>: value } objects.
+ */
+function readLedgerEntries_(ledger) {
+  const values = ledger.sheet.getDataRange().getValues();
+  const entries = [];
+  for (let r = 1; r < values.length; r++) {
+    const entry = { rowIndex: r + 1 };
+    Object.keys(LEDGER_SCHEMA).forEach(field => {
+      entry[field] = ledger.cols[field] ? values[r][ledger.cols[field] - 1] : "";
+    });
+    entries.push(entry);
+  }
+  return entries;
+}
+
+/**
+ * Appends a ledger row from an object keyed by field name. Returns the new row number.
+ */
+function appendLedgerRow_(ledger, fields) {
+  const row = new Array(ledger.sheet.getLastColumn()).fill("");
+  Object.keys(fields).forEach(field => {
+    if (ledger.cols[field]) row[ledger.cols[field] - 1] = fields[field];
+  });
+  ledger.sheet.appendRow(row);
+  return ledger.sheet.getLastRow();
+}
+
+/**
+ * Writes the given field values into an existing ledger row.
+ */
+function updateLedgerRow_(ledger, rowIndex, fields) {
+  Object.keys(fields).forEach(field => {
+    if (ledger.cols[field]) ledger.sheet.getRange(rowIndex, ledger.cols[field]).setValue(fields[field]);
+  });
+}
@@ -0,0 +1,181 @@
+/**
+ * ======================================================================
+ * STRUCTURED LOGGING
+ * ======================================================================
+ * Diagnostics go through logDebug_ / logInfo_ / logWarn_ / logError_(message,
+ * context) rather than Logger.log. Every entry carries its level, the run ID
+ * shared by all entries of one execution (trigger run, web request or
+ * dashboard call), the function that logged it, the entry point that started
+ * the run, and `context`: fields such as fileId, studentId or hwId. An Error
+ * passed as `context.error` is stored as its message (plus the stack on
+ * error entries).
+ *
+ * Entries go to Cloud Logging (Stackdriver) as JSON through console.*, where
+ * they can be filtered on jsonPayload.runId or jsonPayload.context.fileId,
+ * and to the rolling "Logs" tab of TRACKING_SHEET_ID. Sheet rows are written
+ * in one batch when the entry point calls finishLogRun_, which trims the tab
+ * to the newest LOG_SHEET_MAX_ROWS rows and hands the run to the alerting
+ * layer (see Alerting.js). Dry runs only log to the console.
+ *
+ * Entry points call beginLogRun_(name) first and finishLogRun_(name) in their
+ * `finally`; functions called by them just log.
+ *
+ * Optional Script Properties (validated by getConfig_):
+ *   LOG_LEVEL           debug | info (default) | warn | error
+ *   LOG_SHEET_MAX_ROWS  default 5000
+ */
+
+const LOG_SHEET_NAME = "Logs";
+const LOG_SHEET_HEADERS = ["Timestamp", "Level", "Run ID", "Function", "Entry Point", "Message", "Context"];
+const LOG_LEVELS = { debug: 0, info: 1, warn: 2, error: 3 };
+const LOG_CONSOLE_METHODS = { debug: "log", info: "info", warn: "warn", error: "error" };
+const LOG_MAX_PENDING_ROWS = 2000;
+const LOG_SHEET_MAX_CELL_CHARS = 5000;
+
+/* --- Frames skipped when finding the function that logged --- */
+const LOG_INTERNAL_FUNCTIONS = ["writeLogEntry_", "callerFunctionName_", "logDebug_", "logInfo_", "logWarn_", "logError_"];
+
+let currentLogRun = null;
+
+/**
+ * The current run, started on first use: { runId, entryPoint, pending, errors, ... }.
+ */
+function logRun_() {
+  if (!currentLogRun) {
+    currentLogRun = {
+      runId: Utilities.getUuid().replace(/-/g, "").substring(0, 8),
+      entryPoint: "",
+      startedAt: new Date(),
+      pending: [],
+      droppedRows: 0,
+      errorCount: 0,
+      errors: [],
+      failedFiles: new Map()
+    };
+  }
+  return currentLogRun;
+}
+
+/**
+ * Names the current run after its entry point. Entry points called by
+ * another one (e.g. from a dashboard action) stay part of the outer run.
+ */
+function beginLogRun_(entryPoint) {
+  const run = logRun_();
+  if (!run.entryPoint) run.entryPoint = entryPoint;
+  return run.runId;
+}
+
+/**
+ * Ends the run started by `entryPoint`: writes its rows to the Logs tab and
+ * checks the alert rules. Does nothing for a nested entry point.
+ */
+function finishLogRun_(entryPoint) {
+  const run = currentLogRun;
+  if (!run || run.entryPoint !== entryPoint) return;
+  currentLogRun = null;
+  if (isDryRun_()) return;
+  writeLogRows_(run);
+  evaluateRunAlerts_(run);
+}
+
+/**
+ * LOG_LEVEL and the Logs tab settings. While the configuration is invalid the
+ * defaults and the raw TRACKING_SHEET_ID are used, so config problems still
+ * reach the Logs tab.
+ */
+function logSettings_() {
+  try {
+    const config = getConfig_();
+    return { level: config.LOG_LEVEL, maxRows: config.LOG_SHEET_MAX_ROWS, sheetId: config.TRACKING_SHEET_ID };
+  } catch (e) {
+    const sheetId = Services.properties.getScriptProperties().getProperty("TRACKING_SHEET_ID");
+    return { level: "info", maxRows: CONFIG_PROPERTIES.LOG_SHEET_MAX_ROWS.default, sheetId: sheetId ? String(sheetId).trim() : null };
+  }
+}
+
+/**
+ * The first function on the call stack outside this module, or "".
+ */
+function callerFunctionName_() {
+  const frames = String(new Error().stack || "").split("\n").slice(1);
+  for (const frame of frames) {
+    const match = frame.match(/^\s*at\s+(?:Object\.)?([A-Za-z_$][\w$]*)\s+\(/);
+    if (match && LOG_INTERNAL_FUNCTIONS.indexOf(match[1]) === -1) return match[1];
+  }
+  return "";
+}
+
+/**
+ * Copies a context object for logging; Errors become their message (and stack).
+ */
+function normalizeLogContext_(context, level) {
+  const fields = {};
+  Object.keys(context || {}).forEach(key => {
+    const value = context[key];
+    if (value instanceof Error) {
+      fields[key] = value.message;
+      if (level === "error" && value.stack) fields.stack = String(value.stack);
+    } else if (value !== undefined) {
+      fields[key] = value;
+    }
+  });
+  return fields;
+}
+
+function writeLogEntry_(level, message, context) {
+  if (LOG_LEVELS[level] < LOG_LEVELS[logSettings_().level]) return;
+  const run = logRun_();
+  const fields = normalizeLogContext_(context, level);
+  const functionName = callerFunctionName_();
+  const text = String(message);
+
+  console[LOG_CONSOLE_METHODS[level]]({
+    severity: level.toUpperCase(), message: text, runId: run.runId,
+    function: functionName, entryPoint: run.entryPoint, context: fields
+  });
+
+  if (run.pending.length < LOG_MAX_PENDING_ROWS) {
+    run.pending.push([new Date(), level, run.runId, functionName, run.entryPoint, text, JSON.stringify(fields)]);
+  } else {
+    run.droppedRows++;
+  }
+  if (level === "error") {
+    run.errorCount++;
+    run.errors.push(`${functionName ? `${functionName}: ` : ""}${text}`);
+    if (fields.fileId) run.failedFiles.set(String(fields.fileId), text);
+  }
+}
+
+function logDebug_(message, context) { writeLogEntry_("debug", message, context); }
+function logInfo_(message, context) { writeLogEntry_("info", message, context); }
+function logWarn_(message, context) { writeLogEntry_("warn", message, context); }
+function logError_(message, context) { writeLogEntry_("error", message, context); }
+
+/**
+ * Appends a finished run's rows to the Logs tab (creating it if needed) and
+ * deletes the oldest rows beyond LOG_SHEET_MAX_ROWS.
+ */
+function writeLogRows_(run) {
+  const settings = logSettings_();
+  if (!settings.sheetId || run.pending.length === 0) return;
+  if (run.droppedRows > 0) {
+    run.pending.push([new Date(), "warn", run.runId, "writeLogRows", run.entryPoint,
+      `${run.droppedRows} more log entries were not written to this tab; see Cloud Logging.`, "{}"]);
+  }
+  try {
+    const ss = Services.sheets.openById(settings.sheetId);
+    let sheet = ss.getSheetByName(LOG_SHEET_NAME);
+    if (!sheet) {
+      sheet = ss.insertSheet(LOG_SHEET_NAME);
+      sheet.appendRow(LOG_SHEET_HEADERS);
+    }
+    const rows = run.pending.map(row => row.map(value => (typeof value === "string" ? value.substring(0, LOG_SHEET_MAX_CELL_CHARS) : value)));
+    sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, LOG_SHEET_HEADERS.length).setValues(rows);
+    const excess = sheet.getLastRow() - 1 - settings.maxRows;
+    if (excess > 0) sheet.deleteRows(2, excess);
+    Services.sheets.flush();
+  } catch (e) {
+    console.error({ severity: "ERROR", message: `Could not write to "${LOG_SHEET_NAME}": ${e.message}`, runId: run.runId });
+  }
+}
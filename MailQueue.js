@@ -0,0 +1,136 @@
+/**
+ * ======================================================================
+ * STUDENT EMAIL DELIVERY - DAILY QUOTA AND OVERFLOW QUEUE
+ * ======================================================================
+ * Student emails go out through sendOrQueueEmail_(), which adds the reply-to
+ * address and sender name from config and checks MailApp's remaining daily
+ * recipient quota first. When the quota cannot cover every recipient (To, Cc
+ * and Bcc all count), the rendered message is stored on the "Email_Queue"
+ * tab of the tracking spreadsheet instead. processCompletedTranscripts_ sends
+ * queued rows, oldest first, at the start of each run while quota allows.
+ * Each send, queueing and failure is recorded in the Audit_Log under its
+ * reference (see AuditLog.js).
+ *
+ * Optional Script Properties (validated by getConfig_):
+ *   EMAIL_REPLY_TO, EMAIL_SENDER_NAME   apply to every student email
+ *   HOMEWORK_EMAIL_CC, HOMEWORK_EMAIL_BCC  teacher copies of homework emails
+ */
+
+const EMAIL_QUEUE_SHEET_NAME = "Email_Queue";
+const EMAIL_QUEUE_HEADERS = [
+  "Queued At", "Kind", "Reference", "To", "Subject", "Status", "Sent At", "Error", "Message"
+];
+
+/**
+ * Loads the Email_Queue tab (creating it if needed) as { sheet, cols }.
+ */
+function loadEmailQueue_(ss) {
+  const sheet = ss.getSheetByName(EMAIL_QUEUE_SHEET_NAME) || ss.insertSheet(EMAIL_QUEUE_SHEET_NAME);
+  if (sheet.getLastRow() === 0) {
+    sheet.appendRow(EMAIL_QUEUE_HEADERS);
+    Services.sheets.flush();
+  }
+  const header = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0].map(h => String(h).trim());
+  const cols = {};
+  EMAIL_QUEUE_HEADERS.forEach(name => { cols[name] = header.indexOf(name) + 1; });
+  return { sheet, cols };
+}
+
+/**
+ * Number of recipients a message uses from the daily quota.
+ */
+function countEmailRecipients_(message) {
+  return [message.to, message.cc, message.bcc]
+    .map(list => String(list || "").split(",").filter(e => e.trim()).length)
+    .reduce((sum, n) => sum + n, 0);
+}
+
+/**
+ * Sends a MailApp message object ({ to, subject, body, htmlBody, cc, bcc }),
+ * or queues it when today's quota is used up. `kind` and `reference` (e.g.
+ * the homework ID) label the queue row. Returns "sent" or "queued".
+ */
+function sendOrQueueEmail_(message, kind, reference) {
+  const config = getConfig_();
+  const fullMessage = Object.assign({}, message);
+  if (config.EMAIL_REPLY_TO && !fullMessage.replyTo) fullMessage.replyTo = config.EMAIL_REPLY_TO;
+  if (config.EMAIL_SENDER_NAME && !fullMessage.name) fullMessage.name = config.EMAIL_SENDER_NAME;
+
+  const needed = countEmailRecipients_(fullMessage);
+  const remaining = Services.mail.getRemainingDailyQuota();
+  if (remaining >= needed) {
+    try {
+      Services.mail.sendEmail(fullMessage);
+    } catch (e) {
+      recordAudit_("email_failed", reference, { kind: kind || "", error: e.message });
+      throw e;
+    }
+    recordAudit_("email_sent", reference, { kind: kind || "" });
+    return "sent";
+  }
+
+  const queue = loadEmailQueue_(Services.sheets.openById(config.TRACKING_SHEET_ID));
+  const rowValues = new Array(queue.sheet.getLastColumn()).fill("");
+  const fields = {
+    "Queued At": new Date(), "Kind": kind || "", "Reference": reference || "", "To": fullMessage.to,
+    "Subject": fullMessage.subject, "Status": "queued", "Message": JSON.stringify(fullMessage)
+  };
+  Object.keys(fields).forEach(name => { if (queue.cols[name]) rowValues[queue.cols[name] - 1] = fields[name]; });
+  queue.sheet.appendRow(rowValues);
+  logWarn_(`Daily quota left (${remaining}) is below the ${needed} recipient(s) needed; queued "${fullMessage.subject}" for ${fullMessage.to}.`, { kind, reference });
+  recordAudit_("email_queued", reference, { kind: kind || "" });
+  return "queued";
+}
+
+/**
+ * Sends queued Email_Queue rows, oldest first, until the daily quota runs out.
+ * Returns the number sent.
+ */
+function sendQueuedEmails_() {
+  const queue = loadEmailQueue_(Services.sheets.openById(getConfig_().TRACKING_SHEET_ID));
+  const { sheet, cols } = queue;
+  const values = sheet.getDataRange().getValues();
+  let remaining = Services.mail.getRemainingDailyQuota();
+  let sentCount = 0;
+  let waitingCount = 0;
+
+  for (let r = 1; r < values.length; r++) {
+    if (String(values[r][cols["Status"] - 1]).trim() !== "queued") continue;
+    if (waitingCount > 0) { waitingCount++; continue; }
+
+    const markRow = (status, error) => {
+      sheet.getRange(r + 1, cols["Status"]).setValue(status);
+      sheet.getRange(r + 1, cols["Sent At"]).setValue(status === "sent" ? new Date() : "");
+      sheet.getRange(r + 1, cols["Error"]).setValue(error || "");
+      recordAudit_(`email_${status}`, values[r][cols["Reference"] - 1], { kind: String(values[r][cols["Kind"] - 1] || ""), queued: true });
+    };
+    let message;
+    try {
+      message = JSON.parse(values[r][cols["Message"] - 1]);
+    } catch (e) {
+      markRow("failed", `Unreadable message: ${e.message}`);
+      continue;
+    }
+
+    const needed = countEmailRecipients_(message);
+    if (remaining < needed) {
+      waitingCount++;
+      continue;
+    }
+    try {
+      Services.mail.sendEmail(message);
+      remaining -= needed;
+      sentCount++;
+      markRow("sent");
+    } catch (e) {
+      markRow("failed", e.message);
+      logError_(`Could not send queued email "${message.subject}" to ${message.to}.`, { reference: values[r][cols["Reference"] - 1], error: e });
+    }
+  }
+
+  if (sentCount > 0 || waitingCount > 0) {
+    Services.sheets.flush();
+    logInfo_(`Sent ${sentCount} queued email(s); ${waitingCount} still waiting for quota.`);
+  }
+  return sentCount;
+}
@@ -0,0 +1,182 @@
+/**
+ * ======================================================================
+ * MONITORED FOLDERS - ONE RECORDINGS INBOX PER TEACHER
+ * ======================================================================
+ * processNewRecordings_ scans every enabled row of the "Monitored_Folders"
+ * tab in TRACKING_SHEET_ID. Columns are found by header (see
+ * normalizeHeaderKey_); only Folder_ID is required:
+ *
+ *   Folder_ID           Drive folder or shared drive ID to watch
+ *   Label               name used in logs (default: the folder ID)
+ *   Teacher_Name        owning teacher
+ *   Teacher_Email       receives dead-letter notices and a weekly digest for
+ *                       this folder's students (see RetryQueue.js, WeeklyDigest.js)
+ *   Cloud_Run_URL       endpoint for this folder (default: CLOUD_RUN_URL)
+ *   Processing_Profile  sent to Cloud Run as `profile` in the request body
+ *   Prompt_Template     Template_ID used for this folder's students when the
+ *                       roster does not pick one (see PromptTemplates.js)
+ *   Recursive           TRUE/yes to also scan every subfolder
+ *   Enabled             FALSE/no to pause a folder (blank = enabled)
+ *
+ * With no rows, FOLDER_ID is watched on its own with the default endpoint,
+ * as before. Each Jobs and Needs_Review row records the Folder_ID it came
+ * from, which is how retries, notifications and templates find their folder.
+ */
+
+const MONITORED_FOLDERS_SHEET_NAME = "Monitored_Folders";
+const MONITORED_FOLDER_MAX_DEPTH = 10;
+
+/* --- Monitored folder field -> header --- */
+const MONITORED_FOLDER_SCHEMA = {
+  Folder_ID         : { header: "Folder_ID", required: true, aliases: ["Folder"] },
+  Label             : { header: "Label", aliases: ["Name"] },
+  Teacher_Name      : { header: "Teacher_Name", aliases: ["Teacher"] },
+  Teacher_Email     : { header: "Teacher_Email" },
+  Cloud_Run_URL     : { header: "Cloud_Run_URL" },
+  Processing_Profile: { header: "Processing_Profile", aliases: ["Profile"] },
+  Prompt_Template   : { header: "Prompt_Template", aliases: ["Default_Template"] },
+  Recursive         : { header: "Recursive", aliases: ["Include_Subfolders"] },
+  Enabled           : { header: "Enabled", aliases: ["Active"] }
+};
+
+/**
+ * Returns the Monitored_Folders sheet, creating it (seeded with FOLDER_ID
+ * when set) and adding any missing header columns.
+ */
+function getMonitoredFoldersSheet_(ss) {
+  let sheet = ss.getSheetByName(MONITORED_FOLDERS_SHEET_NAME);
+  if (!sheet) {
+    const config = getConfig_();
+    sheet = ss.insertSheet(MONITORED_FOLDERS_SHEET_NAME);
+    sheet.appendRow(Object.keys(MONITORED_FOLDER_SCHEMA).map(field => MONITORED_FOLDER_SCHEMA[field].header));
+    if (config.FOLDER_ID) {
+      const seed = { Folder_ID: config.FOLDER_ID, Label: "Default", Teacher_Email: config.ADMIN_EMAIL || "", Recursive: false, Enabled: true };
+      sheet.appendRow(Object.keys(MONITORED_FOLDER_SCHEMA).map(field => (field in seed ? seed[field] : "")));
+    }
+    Services.sheets.flush();
+    return sheet;
+  }
+  addMissingHeaders_(sheet, MONITORED_FOLDER_SCHEMA);
+  return sheet;
+}
+
+/**
+ * Source for a folder with the default endpoint and no teacher.
+ */
+function defaultMonitoredFolder_(folderId) {
+  return {
+    folderId, label: "FOLDER_ID", teacherName: "", teacherEmail: "",
+    cloudRunUrl: getConfig_().CLOUD_RUN_URL, profile: "", promptTemplate: "", recursive: false
+  };
+}
+
+/**
+ * Reads the enabled monitored folders as
+ * [{ folderId, label, teacherName, teacherEmail, cloudRunUrl, profile, promptTemplate, recursive }].
+ * Rows with an invalid email or URL are logged and skipped. Falls back to
+ * FOLDER_ID when the tab is missing or empty; throws if neither is set.
+ */
+function loadMonitoredFolders_() {
+  const config = getConfig_();
+  const sheet = Services.sheets.openById(config.TRACKING_SHEET_ID).getSheetByName(MONITORED_FOLDERS_SHEET_NAME);
+  const sources = [];
+
+  if (sheet && sheet.getLastRow() > 1) {
+    const values = sheet.getDataRange().getValues();
+    const cols = resolveColumns_(values[0], MONITORED_FOLDER_SCHEMA);
+    if (!cols.Folder_ID) throw new Error(`"${MONITORED_FOLDERS_SHEET_NAME}" is missing the Folder_ID column.`);
+
+    for (let r = 1; r < values.length; r++) {
+      const get = field => (cols[field] ? String(values[r][cols[field] - 1] ?? "").trim() : "");
+      const folderId = get("Folder_ID");
+      if (!folderId) continue;
+      if (get("Enabled") && !isTruthyCell_(get("Enabled"))) continue;
+
+      const teacherEmail = get("Teacher_Email");
+      const cloudRunUrl = get("Cloud_Run_URL");
+      if (teacherEmail && !/^[^\s@,]+@[^\s@,]+\.[^\s@,]+$/.test(teacherEmail)) {
+        logWarn_(`Skipping monitored folder row ${r + 1}: Teacher_Email "${teacherEmail}" is not an email address.`, { folderId });
+        continue;
+      }
+      if (cloudRunUrl && !/^https?:\/\/\S+$/i.test(cloudRunUrl)) {
+        logWarn_(`Skipping monitored folder row ${r + 1}: Cloud_Run_URL must be an http(s) URL: "${cloudRunUrl}".`, { folderId });
+        continue;
+      }
+      sources.push({
+        folderId,
+        label: get("Label") || folderId,
+        teacherName: get("Teacher_Name"),
+        teacherEmail,
+        cloudRunUrl: cloudRunUrl || config.CLOUD_RUN_URL,
+        profile: get("Processing_Profile"),
+        promptTemplate: get("Prompt_Template"),
+        recursive: isTruthyCell_(get("Recursive"))
+      });
+    }
+  }
+
+  if (sources.length === 0) {
+    if (!config.FOLDER_ID) {
+      throw new Error(`No folders to monitor: add rows to "${MONITORED_FOLDERS_SHEET_NAME}" or set FOLDER_ID.`);
+    }
+    sources.push(defaultMonitoredFolder_(config.FOLDER_ID));
+  }
+  return sources;
+}
+
+/**
+ * The source for a Jobs or Needs_Review row's Source Folder ID. Rows written
+ * before the column existed, or whose folder has since been removed, use
+ * FOLDER_ID's row (or the first folder) so they keep their old behaviour.
+ */
+function findMonitoredFolder_(sources, folderId) {
+  const id = String(folderId || "").trim();
+  const config = getConfig_();
+  return (id && sources.find(s => s.folderId === id))
+    || sources.find(s => s.folderId === config.FOLDER_ID)
+    || (id ? Object.assign(defaultMonitoredFolder_(id), { label: id }) : sources[0]);
+}
+
+/**
+ * The Drive folders to scan for a source: its folder and, when Recursive is
+ * set, every subfolder (depth-first, at most MONITORED_FOLDER_MAX_DEPTH deep).
+ */
+function listScanFolders_(source) {
+  const root = Services.drive.getFolderById(source.folderId);
+  if (!source.recursive) return [root];
+
+  const seen = new Set();
+  const folders = [];
+  const visit = (folder, depth) => {
+    const id = folder.getId();
+    if (seen.has(id)) return;
+    seen.add(id);
+    folders.push(folder);
+    if (depth >= MONITORED_FOLDER_MAX_DEPTH) return;
+    const children = folder.getFolders();
+    while (children.hasNext()) visit(children.next(), depth + 1);
+  };
+  visit(root, 0);
+  return folders;
+}
+
+/**
+ * Maps each Student_ID to the monitored folder its most recent recording
+ * came from, read from the Jobs sheet in one pass.
+ */
+function monitoredFoldersByStudent_() {
+  const byStudent = new Map();
+  const sheet = Services.sheets.openById(getConfig_().TRACKING_SHEET_ID).getSheetByName(JOBS_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) return byStudent;
+  const cols = getJobsColumns_(sheet);
+  if (!cols["Source Folder ID"] || !cols["Student ID"]) return byStudent;
+
+  const sources = loadMonitoredFolders_();
+  const values = sheet.getDataRange().getValues();
+  for (let r = values.length - 1; r >= 1; r--) {
+    const studentId = String(values[r][cols["Student ID"] - 1]).trim();
+    const folderId = String(values[r][cols["Source Folder ID"] - 1] || "").trim();
+    if (studentId && folderId && !byStudent.has(studentId)) byStudent.set(studentId, findMonitoredFolder_(sources, folderId));
+  }
+  return byStudent;
+}
@@ -0,0 +1,165 @@
+/**
+ * ======================================================================
+ * HOMEWORK PROMPT TEMPLATES
+ * ======================================================================
+ * Prompt templates live in a tab of the roster spreadsheet
+ * (PROMPT_TEMPLATES_SHEET_NAME, default "Prompt_Templates") with columns:
+ *   Template_ID | Version | Level | Course | Body
+ * Several rows may share a Template_ID; the highest Version wins.
+ *
+ * A student's template is chosen in this order:
+ *   1. Roster column Prompt_Template (explicit Template_ID)
+ *   2. A template whose Course matches the roster Course column
+ *   3. A template whose Level matches the roster Level column
+ *   4. The Prompt_Template of the monitored folder the student's latest
+ *      recording came from (see MonitoredFolders.js)
+ *   5. Template_ID "default" from the sheet
+ *   6. DEFAULT_HOMEWORK_TEMPLATE below
+ *
+ * Placeholders: {{student_first_name}}, {{student_name}}, {{transcripts}},
+ * {{lifestyle}}, {{level}}, {{course}}, {{question_count}}, {{transcript_text}}.
+ * {{lifestyle}} and {{transcript_text}} (the transcripts' contents, read only
+ * when a template uses it) are PII-redacted first (see Redaction.js).
+ * question_count comes from the roster Question_Count column, falling back to
+ * the HOMEWORK_QUESTION_COUNT property (default 10).
+ */
+
+const PROMPT_TEMPLATE_HEADERS = ["Template_ID", "Version", "Level", "Course", "Body"];
+const PROMPT_PLACEHOLDER_REGEX = /\{\{\s*([A-Za-z_]+)\s*\}\}/g;
+const PROMPT_TRANSCRIPT_MAX_CHARS = 30000;
+
+const DEFAULT_HOMEWORK_TEMPLATE = {
+  id: "builtin",
+  version: "1",
+  body: `You are a GPT called Homework Coach.
+Transcript files for this session: {{transcripts}}.
+The exact grammar topic being studied might be mentioned directly in the conversation. Search for this to identify what it is, but if more than one grammar topic or grammar theme is mentioned, then surmize the grammar topic being taught, judging from repeated sentence structures being practiced and especially how the teacher introduces the topic and corrects the student. Carefully analyze the student’s communications and reactions to the teacher’s instructions to find instances in which the grammar being taught was not well comprehended by the student and based on this analysis, choosing only one grammatical theme to pursue and formulate all {{question_count}} questions and dialogue around this one theme for this homework session. In your greeting, explicitly state the grammar topic being covered in the homework, followed by a very brief situation based on the student's life and lifestyle data or a relevant comment from the student transcript to provide context showing how the grammar structure can be productively applied. Ask up to {{question_count}} personalized questions based on the conclusions you reached in your analysis of the transcript and incorporate the student background provided below. Show the problem/question number (i) for each question asked. After student answers, provide an instant, short and empathetic evaluation of the student's answer, explaining clearly but briefly why the student is right or what needs work, then in the same output, move on to the next student prompt, with the next number (i+1) displayed for reference. Focus on reinforcing weak points with this grammar topic identified in the transcript(s), being sure to add professional and personal details from the transcript and the student information below to keep the output relevant to the student’s profession, personal characteristics and world view. General behavior when interacting with the student: *Do not prompt the student to SPEAK or LISTEN to you. You will be interacting by text chat only so speaking and listening is not possible. *Be friendly and empathetic but brief in your responses. *When you’ve finished coaching the student through the {{question_count}} homework problems, it is essential to bring the conversation to a warm and polite close by instructing the student to click the button that says ‘Done ✅ Submit Homework’.
+
+---
+Student background / Life & Lifestyle
+{{lifestyle}}`
+};
+
+/**
+ * Reads all templates from the roster spreadsheet, keeping the highest
+ * Version of each Template_ID. Returns [] if the tab does not exist.
+ */
+function loadPromptTemplates_() {
+  const config = getConfig_();
+  const sheetName = config.PROMPT_TEMPLATES_SHEET_NAME;
+  const sheet = Services.sheets.openById(config.STUDENT_ROSTER_ID).getSheetByName(sheetName);
+  if (!sheet) {
+    logInfo_(`Sheet "${sheetName}" not found; using the built-in template.`);
+    return [];
+  }
+
+  const values = sheet.getDataRange().getValues();
+  if (values.length < 2) return [];
+  const header = values[0].map(h => String(h).toLowerCase().trim());
+  const idCol = header.indexOf("template_id");
+  const versionCol = header.indexOf("version");
+  const levelCol = header.indexOf("level");
+  const courseCol = header.indexOf("course");
+  const bodyCol = header.indexOf("body");
+  if (idCol === -1 || bodyCol === -1) {
+    logWarn_(`"${sheetName}" needs Template_ID and Body columns; using the built-in template.`);
+    return [];
+  }
+
+  const latest = new Map();
+  for (let r = 1; r < values.length; r++) {
+    const id = String(values[r][idCol] || "").trim();
+    const body = String(values[r][bodyCol] || "");
+    if (!id || !body.trim()) continue;
+    const template = {
+      id,
+      version : versionCol === -1 ? "1" : String(values[r][versionCol] || "1").trim(),
+      level   : levelCol === -1 ? "" : String(values[r][levelCol] || "").trim(),
+      course  : courseCol === -1 ? "" : String(values[r][courseCol] || "").trim(),
+      body
+    };
+    const current = latest.get(id.toLowerCase());
+    if (!current || Number(template.version) >= Number(current.version)) latest.set(id.toLowerCase(), template);
+  }
+  return Array.from(latest.values());
+}
+
+/**
+ * Picks the template for a student (see the selection order at the top of this file).
+ * `folderTemplateId` is the monitored folder's default; an unknown one is logged and skipped.
+ */
+function selectPromptTemplate_(student, templates, folderTemplateId) {
+  const sameText = (a, b) => String(a || "").trim().toLowerCase() === String(b || "").trim().toLowerCase();
+
+  if (student.Prompt_Template) {
+    const chosen = templates.find(t => sameText(t.id, student.Prompt_Template));
+    if (!chosen) throw new Error(`Prompt template "${student.Prompt_Template}" for ${student.Email} not found.`);
+    return chosen;
+  }
+  const byCourseOrLevel = (student.Course && templates.find(t => t.course && sameText(t.course, student.Course)))
+    || (student.Level && templates.find(t => t.level && sameText(t.level, student.Level)));
+  if (byCourseOrLevel) return byCourseOrLevel;
+  if (folderTemplateId) {
+    const folderDefault = templates.find(t => sameText(t.id, folderTemplateId));
+    if (folderDefault) return folderDefault;
+    logWarn_(`Folder template "${folderTemplateId}" for ${student.Email} not found; using the default.`, { studentId: student.Student_ID });
+  }
+  return templates.find(t => sameText(t.id, "default"))
+    || DEFAULT_HOMEWORK_TEMPLATE;
+}
+
+/**
+ * Builds the placeholder values for a student and set of transcripts.
+ * `transcriptText` (optional) is the already-redacted {{transcript_text}}.
+ */
+function buildPromptValues_(student, transcriptFileNames, transcriptText) {
+  const questionCount = parseInt(student.Question_Count, 10) || getConfig_().HOMEWORK_QUESTION_COUNT;
+  return {
+    student_first_name : student.Name ? student.Name.split(' ')[0] : "",
+    student_name       : student.Name || "",
+    transcripts        : transcriptFileNames.join(', '),
+    lifestyle          : redactPii_(student.LifeStyle || 'No profile data on record.').text.trim(),
+    level              : student.Level || "",
+    course             : student.Course || "",
+    question_count     : String(questionCount),
+    transcript_text    : transcriptText || ""
+  };
+}
+
+/**
+ * Whether a template's body uses the given placeholder.
+ */
+function templateUsesPlaceholder_(template, name) {
+  let found = false;
+  template.body.replace(PROMPT_PLACEHOLDER_REGEX, (_, used) => { found = found || used.toLowerCase() === name; return ""; });
+  return found;
+}
+
+/**
+ * Fills a template's placeholders. Throws if the template uses an unknown
+ * placeholder, a placeholder with no value for this student, or omits {{transcripts}}.
+ */
+function renderPromptTemplate_(template, values) {
+  const used = new Set();
+  template.body.replace(PROMPT_PLACEHOLDER_REGEX, (_, name) => { used.add(name.toLowerCase()); return ""; });
+
+  const unknown = Array.from(used).filter(name => !Object.prototype.hasOwnProperty.call(values, name));
+  if (unknown.length > 0) {
+    throw new Error(`Template "${template.id}" v${template.version} uses unknown placeholder(s): ${unknown.join(', ')}`);
+  }
+  const empty = Array.from(used).filter(name => !String(values[name]).trim());
+  if (empty.length > 0) {
+    throw new Error(`Template "${template.id}" v${template.version} has no value for: ${empty.join(', ')}`);
+  }
+  if (!used.has("transcripts")) {
+    throw new Error(`Template "${template.id}" v${template.version} must include {{transcripts}}.`);
+  }
+  return template.body.replace(PROMPT_PLACEHOLDER_REGEX, (_, name) => values[name.toLowerCase()]).trim();
+}
+
+/**
+ * Label stored in the homework ledger, e.g. "business@3".
+ */
+function templateVersionLabel_(template) {
+  return `${template.id}@${template.version}`;
+}
@@ -0,0 +1,66 @@
+/**
+ * ======================================================================
+ * RECORDING FILING - MOVE ACCEPTED RECORDINGS INTO STUDENT FOLDERS
+ * ======================================================================
+ * Once Cloud Run has accepted a recording it is moved out of its monitored
+ * folder (see MonitoredFolders.js) into the student's Drive_Folder_ID (moving
+ * keeps the file ID, so Cloud Run's reference stays valid).
+ *
+ * Optional Script Properties (validated by getConfig_):
+ *   RECORDING_FILING_MODE    move (default) | shortcut | off
+ *   RECORDING_FOLDER_LAYOUT  dated (default: <student>/Recordings/yyyy-MM)
+ *                            | recordings (<student>/Recordings) | flat (<student>)
+ */
+
+const RECORDINGS_SUBFOLDER_NAME = "Recordings";
+
+function getRecordingFilingOptions_() {
+  const config = getConfig_();
+  return { mode: config.RECORDING_FILING_MODE, layout: config.RECORDING_FOLDER_LAYOUT };
+}
+
+function getOrCreateSubfolder_(parent, name) {
+  const existing = parent.getFoldersByName(name);
+  return existing.hasNext() ? existing.next() : parent.createFolder(name);
+}
+
+/**
+ * Returns the folder a recording from `classDate` (yyyy-MM-dd) should live in.
+ */
+function resolveRecordingFolder_(driveFolderId, classDate, layout) {
+  const studentFolder = Services.drive.getFolderById(driveFolderId);
+  if (layout === "flat") return studentFolder;
+  const recordingsFolder = getOrCreateSubfolder_(studentFolder, RECORDINGS_SUBFOLDER_NAME);
+  if (layout === "recordings") return recordingsFolder;
+  return getOrCreateSubfolder_(recordingsFolder, String(classDate).substring(0, 7));
+}
+
+/**
+ * Files an accepted recording for its student and records the location on the Jobs row.
+ * Returns the target folder, or null when nothing was filed.
+ * Failures are logged and noted on the row but never undo the Cloud Run submission.
+ */
+function fileAcceptedRecording_(sheet, cols, rowIndex, file, student, classDate) {
+  const options = getRecordingFilingOptions_();
+  if (options.mode === "off") return null;
+  if (!student || !student.Drive_Folder_ID) {
+    logWarn_(`No Drive_Folder_ID for "${file.getName()}"; leaving it in the inbox.`, { fileId: file.getId() });
+    return null;
+  }
+
+  try {
+    const targetFolder = resolveRecordingFolder_(student.Drive_Folder_ID, classDate, options.layout);
+    if (options.mode === "shortcut") {
+      targetFolder.createShortcut(file.getId());
+    } else {
+      file.moveTo(targetFolder);
+    }
+    updateJobRow_(sheet, cols, rowIndex, { "Filed Folder ID": targetFolder.getId() });
+    logInfo_(`${options.mode === "shortcut" ? "Shortcut created" : "Moved"} "${file.getName()}" -> folder "${targetFolder.getName()}" (${student.Name}).`, { fileId: file.getId() });
+    return targetFolder;
+  } catch (e) {
+    updateJobRow_(sheet, cols, rowIndex, { "Error": `Filing failed: ${e.message}` });
+    logError_(`Could not file "${file.getName()}" for ${student.Name}.`, { fileId: file.getId(), error: e });
+    return null;
+  }
+}
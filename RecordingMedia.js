@@ -0,0 +1,207 @@
+/**
+ * ======================================================================
+ * RECORDING MEDIA TYPES AND MEET TRANSCRIPT COMPANIONS
+ * ======================================================================
+ * processNewRecordings_ accepts audio-only lessons (audio/mp4, audio/mpeg,
+ * voice memos, ...) as well as video. Renamed files keep an extension that
+ * matches their media type, and the Cloud Run request carries `mediaType`
+ * (the Drive MIME type) and `mediaKind` ("audio" or "video").
+ *
+ * Meet saves a transcript Google Doc ("<meeting> - Transcript") and, in some
+ * setups, a caption file (.vtt, .sbv or .srt) next to the recording. Files
+ * whose title matches the recording's once the Meet suffix and extension are
+ * removed are paired with it (Jobs column "Companion File ID") and filed into
+ * the same folder. MEET_TRANSCRIPT_MODE decides what happens next:
+ *   off      companions are ignored
+ *   pair     (default) the companion's ID is sent to Cloud Run as
+ *            `companionFileId` / `companionType`; transcription runs as usual
+ *   convert  the companion is converted into the "<recording>.txt" transcript
+ *            processCompletedTranscripts_ expects, in the student's folder,
+ *            and the recording is not sent to Cloud Run at all. Recordings
+ *            without a companion wait up to MEET_TRANSCRIPT_WAIT_MINUTES
+ *            (Meet saves the transcript a few minutes after the recording)
+ *            and are then sent to Cloud Run.
+ */
+
+/* --- Drive MIME type -> extension used for the renamed recording --- */
+const RECORDING_EXTENSIONS = {
+  "video/mp4"        : "mp4",
+  "video/webm"       : "webm",
+  "video/quicktime"  : "mov",
+  "video/x-matroska" : "mkv",
+  "video/3gpp"       : "3gp",
+  "audio/mp4"        : "m4a",
+  "audio/x-m4a"      : "m4a",
+  "audio/aac"        : "aac",
+  "audio/mpeg"       : "mp3",
+  "audio/mp3"        : "mp3",
+  "audio/wav"        : "wav",
+  "audio/x-wav"      : "wav",
+  "audio/ogg"        : "ogg",
+  "audio/webm"       : "webm",
+  "audio/flac"       : "flac",
+  "audio/amr"        : "amr",
+  "audio/3gpp"       : "3gp"
+};
+const DEFAULT_RECORDING_EXTENSION = { video: "mp4", audio: "m4a" };
+
+const CAPTION_EXTENSIONS = ["vtt", "sbv", "srt"];
+const MEET_COMPANION_SUFFIX_REGEX = /\s*[-–]\s*(?:transcript|transcripci[oó]n|captions?|subt[ií]tulos|recording|grabaci[oó]n)$/i;
+
+/**
+ * { kind, mimeType, extension } for a recording, or null when the file is
+ * neither audio nor video. Unlisted types keep the original file's extension.
+ */
+function recordingMediaInfo_(file) {
+  const mimeType = String(file.getMimeType() || "").toLowerCase();
+  const kind = mimeType.startsWith("video/") ? "video" : mimeType.startsWith("audio/") ? "audio" : null;
+  if (!kind) return null;
+  const original = String(file.getName()).match(/\.([A-Za-z0-9]{2,4})$/);
+  const extension = RECORDING_EXTENSIONS[mimeType] || (original ? original[1].toLowerCase() : DEFAULT_RECORDING_EXTENSION[kind]);
+  return { kind, mimeType, extension };
+}
+
+/**
+ * A Meet title reduced to what a recording and its companions share:
+ * no extension, no " - Transcript" / " - Recording" suffix, normalised.
+ */
+function meetSessionKey_(fileName) {
+  const base = String(fileName).replace(/\.[A-Za-z0-9]{2,4}$/, "").trim().replace(MEET_COMPANION_SUFFIX_REGEX, "");
+  return normalizeNameKey_(base);
+}
+
+/**
+ * "meet_doc" or "captions" for a transcript companion file, otherwise null.
+ */
+function companionType_(file) {
+  if (file.getMimeType() === MimeType.GOOGLE_DOCS) return "meet_doc";
+  const extension = (String(file.getName()).match(/\.([A-Za-z0-9]{2,4})$/) || [])[1];
+  return extension && CAPTION_EXTENSIONS.indexOf(extension.toLowerCase()) !== -1 ? "captions" : null;
+}
+
+/**
+ * Returns a finder `(recording, folder) => companion file or null` that lists
+ * each folder's companions once per run. Meet transcript Docs win over caption files.
+ */
+function createCompanionFinder_() {
+  const byFolder = new Map();
+  return (recording, folder) => {
+    const folderId = folder.getId();
+    if (!byFolder.has(folderId)) {
+      const companions = new Map();
+      const files = folder.getFiles();
+      while (files.hasNext()) {
+        const file = files.next();
+        const type = companionType_(file);
+        if (!type) continue;
+        const key = meetSessionKey_(file.getName());
+        if (!companions.has(key) || type === "meet_doc") companions.set(key, file);
+      }
+      byFolder.set(folderId, companions);
+    }
+    return byFolder.get(folderId).get(meetSessionKey_(recording.getName())) || null;
+  };
+}
+
+/**
+ * Whether a recording without a companion should wait for Meet to save one.
+ */
+function shouldWaitForCompanion_(file) {
+  const config = getConfig_();
+  if (config.MEET_TRANSCRIPT_MODE !== "convert") return false;
+  const ageMinutes = (Date.now() - file.getDateCreated().getTime()) / 60000;
+  return ageMinutes < config.MEET_TRANSCRIPT_WAIT_MINUTES;
+}
+
+function formatTranscriptTimestamp_(value) {
+  const parts = String(value).split(".")[0].split(",")[0].split(":").map(p => p.padStart(2, "0"));
+  while (parts.length < 3) parts.unshift("00");
+  return parts.join(":");
+}
+
+/**
+ * Plain text of a Meet transcript Doc as "[hh:mm:ss] Speaker: text" lines.
+ * The attendee list before the "Transcript" heading is dropped; a bare
+ * timestamp line applies to the speaker lines after it.
+ */
+function meetDocToTranscriptText_(docText) {
+  const lines = String(docText).replace(/\r/g, "").split("\n").map(line => line.trim());
+  const heading = lines.findIndex(line => /^(transcript|transcripci[oó]n)$/i.test(line));
+  const out = [];
+  let timestamp = "";
+  lines.slice(heading === -1 ? 0 : heading + 1).forEach(line => {
+    if (!line) return;
+    if (/^\d{1,2}:\d{2}(:\d{2})?$/.test(line)) {
+      timestamp = formatTranscriptTimestamp_(line);
+      return;
+    }
+    out.push(timestamp ? `[${timestamp}] ${line}` : line);
+  });
+  return out.join("\n");
+}
+
+/**
+ * Plain text of a WebVTT, SBV or SRT caption file as "[hh:mm:ss] text" lines
+ * (WebVTT voice tags become "Speaker: text").
+ */
+function captionsToTranscriptText_(captionText) {
+  const out = [];
+  String(captionText).replace(/\r/g, "").split(/\n\s*\n/).forEach(cue => {
+    const lines = cue.split("\n").map(line => line.trim()).filter(Boolean);
+    const timing = lines.findIndex(line => /^\d{1,2}:\d{2}(:\d{2})?[.,]\d+\s*(-->|,)/.test(line));
+    if (timing === -1) return;
+    const text = lines.slice(timing + 1).join(" ").replace(/<v\s+([^>]+)>/g, "$1: ").replace(/<[^>]+>/g, "").trim();
+    if (text) out.push(`[${formatTranscriptTimestamp_(lines[timing].split(/\s*-->\s*|,(?=\d)/)[0])}] ${text}`);
+  });
+  return out.join("\n");
+}
+
+/**
+ * Writes the companion's text as "<baseName>.txt" into the student's folder
+ * and returns the new transcript file.
+ */
+function convertCompanionToTranscript_(companion, student, baseName) {
+  const type = companionType_(companion);
+  const text = type === "meet_doc"
+    ? meetDocToTranscriptText_(companion.getAs(MimeType.PLAIN_TEXT).getDataAsString())
+    : captionsToTranscriptText_(companion.getBlob().getDataAsString());
+  if (!text.trim()) throw new Error(`"${companion.getName()}" has no transcript text.`);
+  const transcript = Services.drive.getFolderById(student.Drive_Folder_ID)
+    .createFile(`${baseName}.txt`, text, MimeType.PLAIN_TEXT);
+  logInfo_(`Converted "${companion.getName()}" into transcript "${baseName}.txt" for ${student.Name}.`, { fileId: companion.getId() });
+  return transcript;
+}
+
+/**
+ * Moves a companion into the folder its recording was filed in (when RECORDING_FILING_MODE is "move").
+ */
+function fileCompanionWithRecording_(companion, targetFolder) {
+  if (!companion || !targetFolder || getRecordingFilingOptions_().mode !== "move") return;
+  try {
+    companion.moveTo(targetFolder);
+  } catch (e) {
+    logError_(`Could not file companion "${companion.getName()}".`, { fileId: companion.getId(), error: e });
+  }
+}
+
+/**
+ * "convert" mode: writes the companion's transcript, marks the Jobs row
+ * transcript_written and files the recording, without calling Cloud Run.
+ * Returns false (after logging) when that is not possible, so the caller
+ * sends the recording to Cloud Run instead.
+ */
+function completeFromCompanion_(sheet, cols, rowIndex, file, companion, student, classDate) {
+  if (!student || !student.Drive_Folder_ID) {
+    logWarn_(`No Drive_Folder_ID for "${file.getName()}"; transcribing it with Cloud Run instead.`, { fileId: file.getId() });
+    return false;
+  }
+  try {
+    const transcript = convertCompanionToTranscript_(companion, student, file.getName().replace(/\.[A-Za-z0-9]{2,4}$/, ""));
+    updateJobRow_(sheet, cols, rowIndex, { "Status": "transcript_written", "Timestamp": new Date(), "Transcript File ID": transcript.getId() });
+    fileCompanionWithRecording_(companion, fileAcceptedRecording_(sheet, cols, rowIndex, file, student, classDate));
+    return true;
+  } catch (e) {
+    logWarn_(`Could not convert "${companion.getName()}"; transcribing "${file.getName()}" with Cloud Run instead.`, { fileId: companion.getId(), error: e });
+    return false;
+  }
+}
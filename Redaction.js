@@ -0,0 +1,55 @@
+/**
+ * ======================================================================
+ * PII REDACTION FOR HOMEWORK PROMPTS
+ * ======================================================================
+ * Text that goes into a homework prompt is passed through redactPii_() first:
+ * the roster's Life_And_Lifestyle profile ({{lifestyle}}) and, for templates
+ * that use it, the transcript text itself ({{transcript_text}}, see
+ * PromptTemplates.js). Email addresses, phone numbers and ID numbers
+ * (US SSN, Spanish DNI/NIE, Mexican CURP, and any other run of 6+ digits)
+ * are replaced with a bracketed label. Dates (yyyy-MM-dd) and transcript
+ * timestamps are left alone. The transcript files themselves are unchanged.
+ */
+
+/* --- Applied in order; each match is replaced by its label --- */
+const PII_PATTERNS = [
+  { label: "[email]",     regex: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g },
+  { label: "[id number]", regex: /\b(?:\d{3}-\d{2}-\d{4}|[XYZ]\d{7}[A-Z]|\d{8}[A-Z]|[A-Z]{4}\d{6}[HM][A-Z]{5}[A-Z0-9]\d)\b/gi },
+  { label: "[phone]",     regex: /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]\d{2,4}){1,4}\b/g, minDigits: 7 },
+  { label: "[id number]", regex: /\b\d{6,}\b/g }
+];
+const ISO_DATE_REGEX = /\d{4}-\d{2}-\d{2}/;
+
+/**
+ * Returns { text, count } with PII in `text` masked.
+ */
+function redactPii_(text) {
+  let count = 0;
+  let result = String(text || "");
+  PII_PATTERNS.forEach(pattern => {
+    result = result.replace(pattern.regex, match => {
+      if (ISO_DATE_REGEX.test(match)) return match;
+      if (pattern.minDigits && match.replace(/\D/g, "").length < pattern.minDigits) return match;
+      count++;
+      return pattern.label;
+    });
+  });
+  return { text: result, count };
+}
+
+/**
+ * The redacted text of the given transcripts, each headed by its file name
+ * and cut to PROMPT_TRANSCRIPT_MAX_CHARS in total.
+ */
+function redactedTranscriptText_(transcriptFileIds) {
+  let redactions = 0;
+  const parts = (transcriptFileIds || []).map(fileId => {
+    const file = Services.drive.getFileById(fileId);
+    const redacted = redactPii_(file.getBlob().getDataAsString());
+    redactions += redacted.count;
+    return `--- ${file.getName()} ---\n${redacted.text.trim()}`;
+  });
+  if (redactions > 0) logInfo_(`Masked ${redactions} item(s) in ${parts.length} transcript(s).`);
+  const text = parts.join("\n\n");
+  return text.length > PROMPT_TRANSCRIPT_MAX_CHARS ? `${text.substring(0, PROMPT_TRANSCRIPT_MAX_CHARS)}\n[...]` : text;
+}
@@ -0,0 +1,196 @@
+/**
+ * ======================================================================
+ * CLOUD RUN RETRY QUEUE
+ * ======================================================================
+ * Rows left at `cloudrun_error` are re-submitted on later runs of
+ * processNewRecordings_ with exponential backoff. Permanent failures, and
+ * rows that run out of attempts, are parked at `dead_letter` and reported
+ * to the teacher of the row's monitored folder (see MonitoredFolders.js),
+ * or to ADMIN_EMAIL when the folder has no Teacher_Email. Setting a
+ * dead-lettered row back to `cloudrun_error` (or re-submitting it from the
+ * dashboard) starts its attempt count over, so it gets the full backoff again.
+ *
+ * Optional Script Properties (validated by getConfig_):
+ *   RETRY_MAX_ATTEMPTS  (default 5)
+ *   RETRY_BASE_MINUTES  (default 15; delay doubles per attempt, capped at 24h)
+ *   ADMIN_EMAIL         (recipient of dead-letter notifications without a teacher)
+ */
+
+const RETRY_MAX_DELAY_MINUTES = 24 * 60;
+
+function getRetryPolicy_() {
+  const config = getConfig_();
+  return { maxAttempts: config.RETRY_MAX_ATTEMPTS, baseMinutes: config.RETRY_BASE_MINUTES };
+}
+
+/**
+ * Minutes to wait after the given (1-based) failed attempt.
+ */
+function retryDelayMinutes_(attempts, baseMinutes) {
+  return Math.min(baseMinutes * Math.pow(2, Math.max(attempts - 1, 0)), RETRY_MAX_DELAY_MINUTES);
+}
+
+/**
+ * Errors raised outside sendFileInfoToCloudRun_ (Drive hiccups etc.) are treated as retryable.
+ */
+function isRetryableSubmissionError_(error) {
+  return error instanceof CloudRunError ? error.retryable : true;
+}
+
+/**
+ * Records a failed submission on its Jobs row and decides whether it will be retried.
+ * Returns { status, deadLetter }.
+ */
+function recordSubmissionFailure_(sheet, cols, rowIndex, error, attempts, policy) {
+  const giveUp = !isRetryableSubmissionError_(error) || attempts >= policy.maxAttempts;
+  const fields = { "Timestamp": new Date(), "Attempts": attempts, "Error": error.message };
+
+  if (giveUp) {
+    fields["Status"] = "dead_letter";
+    fields["Next Retry At"] = "";
+  } else {
+    fields["Status"] = "cloudrun_error";
+    fields["Next Retry At"] = new Date(Date.now() + retryDelayMinutes_(attempts, policy.baseMinutes) * 60 * 1000);
+  }
+  updateJobRow_(sheet, cols, rowIndex, fields);
+  return { status: fields["Status"], deadLetter: giveUp };
+}
+
+/**
+ * Resolves the Drive file behind a Jobs row. Rows written before the File ID
+ * column existed are looked up by their renamed file name.
+ */
+function resolveJobFile_(fileId, fileName) {
+  try {
+    if (fileId) return Services.drive.getFileById(fileId);
+    const matches = Services.drive.getFilesByName(fileName);
+    if (matches.hasNext()) return matches.next();
+  } catch (e) {
+    throw new CloudRunError(`Drive file unavailable: ${e.message}`, false);
+  }
+  throw new CloudRunError(`Drive file "${fileName}" not found.`, false);
+}
+
+/**
+ * The Meet companion recorded on a Jobs row, or null when there is none or
+ * it is no longer accessible (the recording is then sent without it).
+ */
+function resolveCompanionFile_(companionId) {
+  const id = String(companionId || "").trim();
+  if (!id || getConfig_().MEET_TRANSCRIPT_MODE === "off") return null;
+  try {
+    return Services.drive.getFileById(id);
+  } catch (e) {
+    logWarn_("Companion file unavailable; sending without it.", { fileId: id, error: e });
+    return null;
+  }
+}
+
+/**
+ * Re-submits one Jobs row (`row` holds its values) to the Cloud Run endpoint
+ * of its monitored folder (`sources` from loadMonitoredFolders_) and records
+ * the outcome on it. Returns { fileName, attempts, recovered, status, deadLetter, error, teacherEmail }.
+ */
+function resubmitJobRow_(sheet, cols, rowIndex, row, sources, roster, policy) {
+  const fileName = String(row[cols["File Name"] - 1]).trim();
+  const fileId = String(row[cols["File ID"] - 1] || "").trim();
+  const previousAttempts = Number(row[cols["Attempts"] - 1]) || 1;
+  // A dead letter re-queued by hand starts over rather than failing straight back
+  const attempts = previousAttempts >= policy.maxAttempts ? 1 : previousAttempts + 1;
+  const source = findMonitoredFolder_(sources, cols["Source Folder ID"] ? row[cols["Source Folder ID"] - 1] : "");
+  const teacherEmail = String((cols["Teacher Email"] && row[cols["Teacher Email"] - 1]) || source.teacherEmail || "").trim();
+
+  logInfo_(`Attempt ${attempts}/${policy.maxAttempts} for ${fileName}`, { fileId });
+  try {
+    const file = resolveJobFile_(fileId, fileName);
+    const companion = resolveCompanionFile_(cols["Companion File ID"] ? row[cols["Companion File ID"] - 1] : "");
+    sendFileInfoToCloudRun_(file, fileName, source, companion);
+    const status = markJobSubmitted_(sheet, cols, rowIndex, { "Attempts": attempts, "Next Retry At": "", "File ID": file.getId() });
+    const studentId = String(row[cols["Student ID"] - 1] || "").trim();
+    const student = roster && studentId ? findRosterStudent_(roster, studentId) : null;
+    fileCompanionWithRecording_(companion, fileAcceptedRecording_(sheet, cols, rowIndex, file, student, extractStudentInfoFromFilename_(fileName).classDate));
+    return { fileName, attempts, recovered: true, status, deadLetter: false, error: "", teacherEmail };
+  } catch (e) {
+    const outcome = recordSubmissionFailure_(sheet, cols, rowIndex, e, attempts, policy);
+    logError_(`${fileName} failed again. Status: ${outcome.status}`, { fileId, error: e });
+    return { fileName, attempts, recovered: false, status: outcome.status, deadLetter: outcome.deadLetter, error: e.message, teacherEmail };
+  } finally {
+    Services.sheets.flush();
+  }
+}
+
+/**
+ * Re-submits every `cloudrun_error` row whose Next Retry At has passed.
+ * Called at the end of each processNewRecordings_ run with its monitored
+ * folders (`sources`); `roster` (may be null)
+ * is used to file recovered recordings into the student's folder. Stops early
+ * once `budget` (see createRunBudget_) is used up; remaining rows wait for the next run.
+ */
+function retryFailedSubmissions_(sheet, cols, sources, roster, budget) {
+  const policy = getRetryPolicy_();
+  const values = sheet.getDataRange().getValues();
+  const now = new Date();
+  const deadLettered = [];
+  let retried = 0;
+  let recovered = 0;
+
+  for (let r = 1; r < values.length; r++) {
+    if (budget && budget.exceeded()) {
+      logInfo_("Time budget reached; remaining retries wait for the next run.");
+      break;
+    }
+    const row = values[r];
+    if (String(row[cols["Status"] - 1]).trim() !== "cloudrun_error") continue;
+
+    const nextRetryAt = row[cols["Next Retry At"] - 1];
+    if (nextRetryAt && new Date(nextRetryAt) > now) continue;
+
+    retried++;
+    const result = resubmitJobRow_(sheet, cols, r + 1, row, sources, roster, policy);
+    if (result.recovered) recovered++;
+    if (result.deadLetter) {
+      deadLettered.push({ fileName: result.fileName, attempts: result.attempts, error: result.error, teacherEmail: result.teacherEmail });
+    }
+  }
+
+  if (retried > 0) {
+    logInfo_(`Retried ${retried} submission(s): ${recovered} recovered, ${deadLettered.length} dead-lettered.`);
+  }
+  return deadLettered;
+}
+
+/**
+ * Emails one summary of the rows moved to `dead_letter` in this run to each
+ * teacher involved (entries carry teacherEmail), or to ADMIN_EMAIL for rows
+ * without one.
+ */
+function notifyDeadLetters_(deadLettered) {
+  if (!deadLettered || deadLettered.length === 0) return;
+
+  const adminEmail = getConfig_().ADMIN_EMAIL;
+  const byRecipient = new Map();
+  deadLettered.forEach(d => {
+    const recipient = d.teacherEmail || adminEmail;
+    if (!recipient) return;
+    if (!byRecipient.has(recipient)) byRecipient.set(recipient, []);
+    byRecipient.get(recipient).push(d);
+  });
+  const unreported = deadLettered.length - Array.from(byRecipient.values()).reduce((sum, list) => sum + list.length, 0);
+  if (unreported > 0) {
+    logError_(`ADMIN_EMAIL not set. ${unreported} dead-lettered job(s) were not reported.`);
+  }
+
+  byRecipient.forEach((entries, recipient) => {
+    const lines = entries.map(d => `- ${d.fileName} (attempts: ${d.attempts}): ${d.error}`);
+    try {
+      Services.mail.sendEmail(
+        recipient,
+        `[EduScribe] ${entries.length} recording(s) moved to dead_letter`,
+        `The following recordings could not be submitted to Cloud Run and will not be retried automatically:\n\n${lines.join('\n')}\n\nFix the cause, then set the Status back to "cloudrun_error" in the Jobs sheet to retry; the retry count starts over.\n`
+      );
+      logInfo_(`Dead-letter notification sent to ${recipient}.`);
+    } catch (e) {
+      logError_(`Could not send the dead-letter notification to ${recipient}.`, { error: e });
+    }
+  });
+}
@@ -0,0 +1,64 @@
+/**
+ * ======================================================================
+ * STUDENT ROSTER - 'Current_Students' COLUMN SCHEMA
+ * ======================================================================
+ * Every roster column is found by its header (see normalizeHeaderKey_), so
+ * columns can be inserted or reordered freely. The first four are required;
+ * the rest are optional and read as blank when absent.
+ *
+ *   Student_Name, Student_ID, Student_Email, Drive_Folder_ID
+ *   Life_And_Lifestyle   student background used in homework prompts
+ *   Aliases              other names used in Meet titles (comma-separated)
+ *   Level, Course, Prompt_Template, Question_Count   (see PromptTemplates.js)
+ *   Homework_Batching    (see HomeworkBatching.js)
+ *   Pause_Reminders      (see HomeworkReminders.js)
+ *   Preferred_Language   language of student emails (see EmailTemplates.js)
+ */
+
+const ROSTER_SHEET_NAME = "Current_Students";
+
+/* --- Student record field -> roster header --- */
+const ROSTER_SCHEMA = {
+  Name              : { header: "Student_Name", required: true, aliases: ["Name"] },
+  Student_ID        : { header: "Student_ID", required: true },
+  Email             : { header: "Student_Email", required: true, aliases: ["Email"] },
+  Drive_Folder_ID   : { header: "Drive_Folder_ID", required: true },
+  LifeStyle         : { header: "Life_And_Lifestyle", aliases: ["Life & Lifestyle", "Lifestyle"] },
+  Aliases           : { header: "Aliases" },
+  Level             : { header: "Level" },
+  Course            : { header: "Course" },
+  Prompt_Template   : { header: "Prompt_Template" },
+  Question_Count    : { header: "Question_Count" },
+  Homework_Batching : { header: "Homework_Batching" },
+  Pause_Reminders   : { header: "Pause_Reminders" },
+  Preferred_Language: { header: "Preferred_Language", aliases: ["Language", "Idioma"] }
+};
+
+/**
+ * Reads the roster as { sheet, cols, students }, where each student has every
+ * ROSTER_SCHEMA field as a trimmed string plus RosterRowIndex (1-based).
+ * Throws if the sheet or a required column is missing.
+ */
+function readRoster_() {
+  const config = getConfig_();
+  const sheet = Services.sheets.openById(config.STUDENT_ROSTER_ID).getSheetByName(ROSTER_SHEET_NAME);
+  if (!sheet) throw new Error(`Roster sheet '${ROSTER_SHEET_NAME}' not found. Run setup() to create it.`);
+
+  const values = sheet.getDataRange().getValues();
+  const cols = resolveColumns_(values[0], ROSTER_SCHEMA);
+  const missing = Object.keys(ROSTER_SCHEMA).filter(field => ROSTER_SCHEMA[field].required && !cols[field]);
+  if (missing.length > 0) {
+    throw new Error(`Roster is missing column(s): ${missing.map(field => ROSTER_SCHEMA[field].header).join(", ")}.`);
+  }
+
+  const students = [];
+  for (let r = 1; r < values.length; r++) {
+    const student = { RosterRowIndex: r + 1 };
+    Object.keys(ROSTER_SCHEMA).forEach(field => {
+      student[field] = cols[field] ? String(values[r][cols[field] - 1] ?? "").trim() : "";
+    });
+    if (!student.Name && !student.Email) continue;
+    students.push(student);
+  }
+  return { sheet, cols, students };
+}
@@ -0,0 +1,89 @@
+/**
+ * ======================================================================
+ * RUN CONTROL - LOCKING, TIME BUDGET AND CONTINUATION STATE
+ * ======================================================================
+ * Trigger jobs that scan Drive take the script lock so overlapping runs
+ * cannot double-submit recordings or double-assign homework, stop cleanly
+ * before the Apps Script execution limit, and save where they stopped
+ * (Drive iterator token plus roster position) in Script Properties so the
+ * next run resumes from there.
+ *
+ * Public functions meant for the script editor call requireScriptEditor_
+ * first, since the web app would otherwise let anonymous visitors run them
+ * (see Dashboard.js).
+ *
+ * Optional Script Properties (validated by getConfig_):
+ *   RUN_TIME_BUDGET_SECONDS  (default 270; the hard limit is 360)
+ */
+
+const RUN_LOCK_WAIT_MS = 10 * 1000;
+const CONTINUATION_PROP_PREFIX = "CONTINUATION_";
+
+/**
+ * Throws unless the current execution was started from the script editor.
+ * Editor runs execute as the signed-in user, so the active and effective
+ * users match; for web app visitors the active user is blank or the visitor
+ * while the script runs as the deployer.
+ */
+function requireScriptEditor_(functionName) {
+  const active = String(Session.getActiveUser().getEmail() || "").trim().toLowerCase();
+  const effective = String(Session.getEffectiveUser().getEmail() || "").trim().toLowerCase();
+  if (!active || active !== effective) throw new Error(`${functionName} can only be run from the script editor.`);
+}
+
+/**
+ * Takes the script lock, or returns null (and logs) if another run holds it.
+ */
+function acquireScriptLock_(jobName) {
+  const lock = Services.lock.getScriptLock();
+  if (!lock.tryLock(RUN_LOCK_WAIT_MS)) {
+    logWarn_(`${jobName}: another run is still in progress. Skipping this run.`);
+    return null;
+  }
+  return lock;
+}
+
+/**
+ * Returns a budget object for the current execution.
+ */
+function createRunBudget_() {
+  const budgetMs = getConfig_().RUN_TIME_BUDGET_SECONDS * 1000;
+  const startedAt = Date.now();
+  return {
+    startedAt,
+    exceeded: () => Date.now() - startedAt >= budgetMs
+  };
+}
+
+function loadContinuation_(jobKey) {
+  const raw = Services.properties.getScriptProperties().getProperty(CONTINUATION_PROP_PREFIX + jobKey);
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    logWarn_(`Discarding unreadable continuation state for ${jobKey}.`, { error: e });
+    return null;
+  }
+}
+
+function saveContinuation_(jobKey, state) {
+  Services.properties.getScriptProperties().setProperty(CONTINUATION_PROP_PREFIX + jobKey, JSON.stringify(state));
+  logInfo_(`Time budget reached; saved resume point for ${jobKey}.`);
+}
+
+function clearContinuation_(jobKey) {
+  Services.properties.getScriptProperties().deleteProperty(CONTINUATION_PROP_PREFIX + jobKey);
+}
+
+/**
+ * Resumes a saved Drive file iterator, or returns null if the token is no longer valid.
+ */
+function resumeFileIterator_(token) {
+  if (!token) return null;
+  try {
+    return Services.drive.continueFileIterator(token);
+  } catch (e) {
+    logWarn_("Saved Drive iterator could not be resumed; starting over.", { error: e });
+    return null;
+  }
+}
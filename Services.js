@@ -0,0 +1,52 @@
+/**
+ * ======================================================================
+ * SERVICE LAYER
+ * ======================================================================
+ * Pipeline code reaches Drive, Sheets, Mail, UrlFetch, Script Properties, the
+ * script cache and the script lock through `Services` instead of the Apps
+ * Script globals, so a run can be pointed at other implementations:
+ *
+ *   withServices_({ drive: fakeDrive, sheets: fakeSheets, mail: fakeMail }, () => {
+ *     processNewRecordings_();
+ *   });
+ *
+ * Any service not supplied falls back to the real one. Dry runs (DryRun.js)
+ * use this to swap in recording wrappers. Fakes only need the methods the
+ * pipeline calls; Logger, Utilities, Session and MimeType stay global.
+ */
+
+let activeServiceOverrides = null;
+
+const Services = {
+  get drive()      { return (activeServiceOverrides && activeServiceOverrides.drive) || DriveApp; },
+  get sheets()     { return (activeServiceOverrides && activeServiceOverrides.sheets) || SpreadsheetApp; },
+  get mail()       { return (activeServiceOverrides && activeServiceOverrides.mail) || MailApp; },
+  get http()       { return (activeServiceOverrides && activeServiceOverrides.http) || UrlFetchApp; },
+  get properties() { return (activeServiceOverrides && activeServiceOverrides.properties) || PropertiesService; },
+  get cache()      { return (activeServiceOverrides && activeServiceOverrides.cache) || CacheService; },
+  get lock()       { return (activeServiceOverrides && activeServiceOverrides.lock) || LockService; }
+};
+
+/**
+ * The services currently in effect, as a plain object.
+ */
+function currentServices_() {
+  return {
+    drive: Services.drive, sheets: Services.sheets, mail: Services.mail,
+    http: Services.http, properties: Services.properties, cache: Services.cache, lock: Services.lock
+  };
+}
+
+/**
+ * Runs `fn` with the given services replacing the real ones, restoring the
+ * previous set afterwards (also when `fn` throws). Returns `fn`'s result.
+ */
+function withServices_(overrides, fn) {
+  const previous = activeServiceOverrides;
+  activeServiceOverrides = Object.assign(currentServices_(), overrides || {});
+  try {
+    return fn();
+  } finally {
+    activeServiceOverrides = previous;
+  }
+}
@@ -0,0 +1,266 @@
+/**
+ * ======================================================================
+ * STUDENT IDENTIFICATION - ROSTER MATCHING AND REVIEW QUEUE
+ * ======================================================================
+ * Names parsed from recording titles are resolved against 'Current_Students'
+ * (Student_Name plus an optional "Aliases" column, comma or semicolon
+ * separated). Matching ignores case, accents and punctuation, then falls back
+ * to first-name / partial-name and edit-distance matching. Anything that is
+ * not a single clear match goes to the "Needs_Review" tab of the tracking
+ * spreadsheet, where a teacher fills in "Selected Student" (name, alias or
+ * Student_ID); the next processNewRecordings_ run picks that choice up.
+ */
+
+const REVIEW_SHEET_NAME = "Needs_Review";
+const REVIEW_HEADERS = [
+  "File ID", "Original File Name", "Detected Name", "Class Date", "Reason",
+  "Candidates", "Selected Student", "Status", "Timestamp", "Source Folder ID"
+];
+
+const FUZZY_MATCH_MIN_SCORE  = 0.8;   // similarity needed to accept a fuzzy match
+const FUZZY_MATCH_MIN_MARGIN = 0.1;   // lead the best match needs over the runner-up
+const FUZZY_CANDIDATE_SCORE  = 0.6;   // similarity needed to be suggested for review
+
+/**
+ * Lowercases, strips accents and punctuation, and collapses whitespace.
+ * "José  O'Neil" -> "jose oneil"
+ */
+function normalizeNameKey_(name) {
+  return String(name || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[_-]+/g, " ")
+    .replace(/[^a-z0-9 ]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function levenshteinDistance_(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+    }
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+function nameSimilarity_(a, b) {
+  const maxLen = Math.max(a.length, b.length);
+  return maxLen === 0 ? 1 : 1 - levenshteinDistance_(a, b) / maxLen;
+}
+
+/**
+ * Loads 'Current_Students' as match-ready entries. Returns null if the roster
+ * cannot be read (see readRoster_).
+ */
+function loadRosterStudents_() {
+  let roster;
+  try {
+    roster = readRoster_();
+  } catch (e) {
+    logError_("Could not read the roster.", { error: e });
+    return null;
+  }
+
+  return roster.students.filter(s => s.Name).map(s => {
+    const aliases = s.Aliases.split(/[,;]/).map(a => a.trim()).filter(Boolean);
+    return {
+      Student_ID : s.Student_ID,
+      Name       : s.Name,
+      Email      : s.Email,
+      Drive_Folder_ID : s.Drive_Folder_ID,
+      aliases    : aliases,
+      keys       : [s.Name].concat(aliases).map(normalizeNameKey_).filter(Boolean)
+    };
+  });
+}
+
+/**
+ * Finds a roster entry by exact Student_ID, name or alias (normalized).
+ */
+function findRosterStudent_(roster, value) {
+  const raw = String(value || "").trim();
+  if (!raw) return null;
+  const byId = roster.find(s => s.Student_ID && s.Student_ID === raw);
+  if (byId) return byId;
+  const key = normalizeNameKey_(raw);
+  return roster.find(s => s.keys.indexOf(key) !== -1) || null;
+}
+
+/**
+ * Resolves a detected name to one roster student.
+ * Returns { student, reason, candidates } where student is null when the
+ * name is unmatched or ambiguous.
+ */
+function matchStudentToRoster_(detectedName, roster) {
+  const key = normalizeNameKey_(detectedName);
+  if (!key) return { student: null, reason: "No name detected", candidates: [] };
+
+  const exact = roster.filter(s => s.keys.indexOf(key) !== -1);
+  if (exact.length === 1) return { student: exact[0], reason: "exact", candidates: [] };
+  if (exact.length > 1) {
+    return { student: null, reason: "Name matches several students", candidates: exact.map(s => s.Name) };
+  }
+
+  // "Maria" or "Maria Lopez" against "María José López García"
+  const tokens = key.split(" ");
+  const partial = roster.filter(s => s.keys.some(k => {
+    const keyTokens = k.split(" ");
+    return tokens.every(t => keyTokens.indexOf(t) !== -1);
+  }));
+  if (partial.length === 1) return { student: partial[0], reason: "partial", candidates: [] };
+  if (partial.length > 1) {
+    return { student: null, reason: "Partial name matches several students", candidates: partial.map(s => s.Name) };
+  }
+
+  const scored = roster
+    .map(s => ({ student: s, score: Math.max(...s.keys.map(k => nameSimilarity_(key, k))) }))
+    .sort((a, b) => b.score - a.score);
+  const best = scored[0];
+  const runnerUp = scored[1];
+  if (best && best.score >= FUZZY_MATCH_MIN_SCORE && (!runnerUp || best.score - runnerUp.score >= FUZZY_MATCH_MIN_MARGIN)) {
+    return { student: best.student, reason: "fuzzy", candidates: [] };
+  }
+
+  const candidates = scored.filter(s => s.score >= FUZZY_CANDIDATE_SCORE).slice(0, 5).map(s => s.student.Name);
+  return {
+    student: null,
+    reason: candidates.length ? "Close matches need confirmation" : "Not found in roster",
+    candidates: candidates
+  };
+}
+
+/**
+ * Sheets turns "2024-07-01" into a Date; convert it back to yyyy-MM-dd.
+ */
+function formatClassDate_(value) {
+  if (value instanceof Date) return Utilities.formatDate(value, Session.getScriptTimeZone(), "yyyy-MM-dd");
+  return String(value || "").trim();
+}
+
+/**
+ * Loads the Needs_Review tab (creating it and any missing header columns if
+ * needed) keyed by Drive file ID.
+ */
+function loadReviewQueue_(ss) {
+  const sheet = ss.getSheetByName(REVIEW_SHEET_NAME) || ss.insertSheet(REVIEW_SHEET_NAME);
+  if (sheet.getLastRow() === 0) {
+    sheet.appendRow(REVIEW_HEADERS);
+    Services.sheets.flush();
+  } else {
+    const lastCol = sheet.getLastColumn();
+    const existing = sheet.getRange(1, 1, 1, lastCol).getValues()[0].map(h => String(h).trim());
+    const missing = REVIEW_HEADERS.filter(h => existing.indexOf(h) === -1);
+    if (missing.length > 0) {
+      sheet.getRange(1, lastCol + 1, 1, missing.length).setValues([missing]);
+      Services.sheets.flush();
+    }
+  }
+
+  const values = sheet.getDataRange().getValues();
+  const header = values[0].map(h => String(h).trim());
+  const cols = {};
+  REVIEW_HEADERS.forEach(name => { cols[name] = header.indexOf(name) + 1; });
+
+  const byFileId = new Map();
+  for (let r = 1; r < values.length; r++) {
+    const fileId = String(values[r][cols["File ID"] - 1] || "").trim();
+    if (!fileId) continue;
+    byFileId.set(fileId, {
+      rowIndex  : r + 1,
+      classDate : formatClassDate_(values[r][cols["Class Date"] - 1]),
+      selected  : String(values[r][cols["Selected Student"] - 1] || "").trim(),
+      status    : String(values[r][cols["Status"] - 1] || "").trim()
+    });
+  }
+  return { sheet, cols, byFileId };
+}
+
+function queueForReview_(review, roster, file, detectedName, classDate, reason, candidates, sourceFolderId) {
+  const fileId = file.getId();
+  const rowValues = new Array(review.sheet.getLastColumn()).fill("");
+  const fields = {
+    "File ID": fileId, "Original File Name": file.getName(), "Detected Name": detectedName || "",
+    "Class Date": classDate, "Reason": reason, "Candidates": (candidates || []).join(", "),
+    "Status": "pending", "Timestamp": new Date(), "Source Folder ID": sourceFolderId || ""
+  };
+  Object.keys(fields).forEach(name => { if (review.cols[name]) rowValues[review.cols[name] - 1] = fields[name]; });
+  review.sheet.appendRow(rowValues);
+  const rowIndex = review.sheet.getLastRow();
+
+  if (roster && roster.length > 0 && review.cols["Selected Student"]) {
+    const names = (candidates && candidates.length ? candidates : roster.map(s => s.Name)).slice(0, 500);
+    const rule = Services.sheets.newDataValidation().requireValueInList(names, true).setAllowInvalid(true).build();
+    review.sheet.getRange(rowIndex, review.cols["Selected Student"]).setDataValidation(rule);
+  }
+  review.byFileId.set(fileId, { rowIndex, classDate, selected: "", status: "pending" });
+  logInfo_(`Queued "${file.getName()}" for review: ${reason}`, { fileId });
+}
+
+/**
+ * Marks a Needs_Review row as resolved once its recording has been processed.
+ */
+function resolveReviewItem_(review, reviewItem) {
+  if (!reviewItem) return;
+  review.sheet.getRange(reviewItem.rowIndex, review.cols["Status"]).setValue("resolved");
+  review.sheet.getRange(reviewItem.rowIndex, review.cols["Timestamp"]).setValue(new Date());
+  reviewItem.status = "resolved";
+}
+
+/**
+ * Works out which student a recording belongs to.
+ * Returns { studentName, student, classDate, reviewItem } or null when the file is
+ * waiting for (or has just been sent to) teacher review.
+ * With no roster available, falls back to the name parsed from the file name
+ * (student is then null). `sourceFolderId` is the monitored folder the file
+ * was found in, recorded on new review rows.
+ */
+function identifyRecording_(file, roster, review, sourceFolderId) {
+  const fileId = file.getId();
+  const fileName = file.getName();
+  const reviewItem = review.byFileId.get(fileId);
+
+  if (reviewItem) {
+    if (!reviewItem.selected) return null;
+    const chosen = roster ? findRosterStudent_(roster, reviewItem.selected) : { Name: reviewItem.selected };
+    if (!chosen || !/^\d{4}-\d{2}-\d{2}$/.test(reviewItem.classDate)) {
+      review.sheet.getRange(reviewItem.rowIndex, review.cols["Reason"])
+        .setValue(chosen ? "Class Date must be yyyy-MM-dd" : `Selected student "${reviewItem.selected}" not found in roster`);
+      return null;
+    }
+    logInfo_(`Using teacher selection "${chosen.Name}" for "${fileName}".`, { fileId });
+    return { studentName: chosen.Name, student: roster ? chosen : null, classDate: reviewItem.classDate, reviewItem };
+  }
+
+  const { studentName, classDate } = extractStudentInfoFromFilename_(fileName);
+  if (!roster) {
+    if (!studentName || !classDate) {
+      logWarn_(`Skipping "${fileName}": unable to extract a valid student name or date.`, { fileId });
+      return null;
+    }
+    return { studentName, student: null, classDate, reviewItem: null };
+  }
+
+  const fallbackDate = Utilities.formatDate(file.getDateCreated(), Session.getScriptTimeZone(), "yyyy-MM-dd");
+  const match = matchStudentToRoster_(studentName, roster);
+  if (!match.student) {
+    queueForReview_(review, roster, file, studentName, classDate || fallbackDate, match.reason, match.candidates, sourceFolderId);
+    return null;
+  }
+  if (!classDate) {
+    queueForReview_(review, roster, file, studentName, fallbackDate, "No class date in file name", [match.student.Name], sourceFolderId);
+    return null;
+  }
+  if (match.reason !== "exact") {
+    logInfo_(`Matched "${studentName}" to roster student "${match.student.Name}" (${match.reason}).`, { fileId });
+  }
+  return { studentName: match.student.Name, student: match.student, classDate, reviewItem: null };
+}
@@ -0,0 +1,142 @@
+/**
+ * ======================================================================
+ * TRANSCRIPT INDEX - PROCESSED-TRANSCRIPT DETECTION BY FILE ID
+ * ======================================================================
+ * The "Transcript_Index" tab of the roster spreadsheet lists every transcript
+ * processCompletedTranscripts_ has seen, with its Drive file ID, the student
+ * it belongs to and whether it has been used for homework ('pending' or
+ * 'assigned' + HW ID). Detecting new transcripts is a set lookup on file IDs,
+ * and student folders are only searched for files modified since the last
+ * successful run (TRANSCRIPT_SCAN_CURSOR script property).
+ *
+ * The first run without a cursor does a full scan and marks transcripts that
+ * older ledger rows already covered (matched the old way, by prompt file
+ * name) as 'assigned' with HW ID "legacy".
+ */
+
+const TRANSCRIPT_INDEX_SHEET_NAME = "Transcript_Index";
+const TRANSCRIPT_INDEX_HEADERS = [
+  "Transcript File ID", "Transcript Name", "Student Email", "Class Date", "Status", "HW ID", "Indexed At",
+  "Deleted At"
+];
+const TRANSCRIPT_SCAN_CURSOR_PROP = "TRANSCRIPT_SCAN_CURSOR";
+const TRANSCRIPT_SCAN_OVERLAP_MINUTES = 10;
+
+/**
+ * Loads the index tab (creating it if needed, and adding any missing header
+ * columns) keyed by transcript file ID.
+ */
+function loadTranscriptIndex_(rosterSS) {
+  const sheet = rosterSS.getSheetByName(TRANSCRIPT_INDEX_SHEET_NAME) || rosterSS.insertSheet(TRANSCRIPT_INDEX_SHEET_NAME);
+  if (sheet.getLastRow() === 0) {
+    sheet.appendRow(TRANSCRIPT_INDEX_HEADERS);
+    Services.sheets.flush();
+  } else {
+    const lastCol = sheet.getLastColumn();
+    const existing = sheet.getRange(1, 1, 1, lastCol).getValues()[0].map(h => String(h).trim());
+    const missing = TRANSCRIPT_INDEX_HEADERS.filter(h => existing.indexOf(h) === -1);
+    if (missing.length > 0) {
+      sheet.getRange(1, lastCol + 1, 1, missing.length).setValues([missing]);
+      Services.sheets.flush();
+    }
+  }
+
+  const values = sheet.getDataRange().getValues();
+  const header = values[0].map(h => String(h).trim());
+  const cols = {};
+  TRANSCRIPT_INDEX_HEADERS.forEach(name => { cols[name] = header.indexOf(name) + 1; });
+
+  const byId = new Map();
+  for (let r = 1; r < values.length; r++) {
+    const fileId = String(values[r][cols["Transcript File ID"] - 1] || "").trim();
+    if (!fileId) continue;
+    byId.set(fileId, {
+      rowIndex  : r + 1,
+      fileId,
+      name      : String(values[r][cols["Transcript Name"] - 1] || ""),
+      email     : String(values[r][cols["Student Email"] - 1] || "").trim(),
+      classDate : formatClassDate_(values[r][cols["Class Date"] - 1]),
+      status    : String(values[r][cols["Status"] - 1] || "").trim(),
+      hwId      : String(values[r][cols["HW ID"] - 1] || "").trim()
+    });
+  }
+  return { sheet, cols, byId };
+}
+
+function addTranscriptToIndex_(index, entry) {
+  const row = new Array(index.sheet.getLastColumn()).fill("");
+  const fields = {
+    "Transcript File ID": entry.fileId, "Transcript Name": entry.name, "Student Email": entry.email,
+    "Class Date": entry.classDate, "Status": entry.status, "HW ID": entry.hwId || "", "Indexed At": new Date()
+  };
+  Object.keys(fields).forEach(name => { if (index.cols[name]) row[index.cols[name] - 1] = fields[name]; });
+  index.sheet.appendRow(row);
+  index.byId.set(entry.fileId, Object.assign({ rowIndex: index.sheet.getLastRow() }, entry));
+}
+
+function markTranscriptsAssigned_(index, fileIds, hwId) {
+  fileIds.forEach(fileId => {
+    const entry = index.byId.get(fileId);
+    if (!entry) return;
+    index.sheet.getRange(entry.rowIndex, index.cols["Status"]).setValue("assigned");
+    index.sheet.getRange(entry.rowIndex, index.cols["HW ID"]).setValue(hwId);
+    entry.status = "assigned";
+    entry.hwId = hwId;
+  });
+  Services.sheets.flush();
+}
+
+/**
+ * Pending transcripts grouped by student email, as { fileId, name, classDate } lists.
+ */
+function pendingTranscriptsByStudent_(index) {
+  const byStudent = new Map();
+  index.byId.forEach(entry => {
+    if (entry.status !== "pending" || !entry.email) return;
+    if (!byStudent.has(entry.email)) byStudent.set(entry.email, []);
+    byStudent.get(entry.email).push({ fileId: entry.fileId, name: entry.name, classDate: entry.classDate });
+  });
+  return byStudent;
+}
+
+/**
+ * Plain-text files in a student folder, limited to those modified after `cursor` when set.
+ */
+function listTranscriptFiles_(folder, cursor) {
+  if (!cursor) return folder.getFilesByType(MimeType.PLAIN_TEXT);
+  return folder.searchFiles(`mimeType = '${MimeType.PLAIN_TEXT}' and modifiedDate > '${cursor}' and trashed = false`);
+}
+
+function getTranscriptScanCursor_() {
+  return Services.properties.getScriptProperties().getProperty(TRANSCRIPT_SCAN_CURSOR_PROP);
+}
+
+/**
+ * Stores the start of a successful run (minus a small overlap) as the next cursor.
+ */
+function advanceTranscriptScanCursor_(runStartedAt) {
+  const cursorDate = new Date(runStartedAt.getTime() - TRANSCRIPT_SCAN_OVERLAP_MINUTES * 60 * 1000);
+  const cursor = Utilities.formatDate(cursorDate, "UTC", "yyyy-MM-dd'T'HH:mm:ss");
+  Services.properties.getScriptProperties().setProperty(TRANSCRIPT_SCAN_CURSOR_PROP, cursor);
+  logInfo_(`Transcript scan cursor set to ${cursor} (UTC).`);
+}
+
+/**
+ * One-time migration helper: transcript names covered by ledger rows written
+ * before the index existed, derived from their prompt file names.
+ */
+function legacyProcessedTranscriptNames_(ledgerEntries) {
+  const names = new Set();
+  for (const entry of ledgerEntries) {
+    const promptFileId = entry.Prompt_File_ID;
+    if (!promptFileId) continue;
+    try {
+      const promptFileName = Services.drive.getFileById(promptFileId).getName();
+      // 'prompt_Student_Name_..._.txt' -> 'Student_Name_..._.txt'
+      names.add(promptFileName.replace(/^prompt_/, ''));
+    } catch (e) {
+      logWarn_("Could not access prompt file; it might be deleted.", { fileId: promptFileId, error: e });
+    }
+  }
+  return names;
+}
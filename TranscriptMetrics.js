@@ -0,0 +1,276 @@
+/**
+ * ======================================================================
+ * TRANSCRIPT METRICS - PER-SESSION STUDENT PROGRESS
+ * ======================================================================
+ * Each transcript processCompletedTranscripts_ indexes as new is parsed into
+ * speaker turns and summarised as one row of the "Progress" tab of the
+ * roster spreadsheet (one row per student and class date, filterable by
+ * Student ID):
+ *   Student Talk %    student share of talk time when every turn carries a
+ *                     timestamp, otherwise of words spoken ("Talk Basis")
+ *   Words per Turn    average student words per turn
+ *   Unique Words      distinct words the student used
+ *   New Words         of those, words not used in the student's earlier sessions
+ *   Error Markers     [error: ...] / [correction: ...] annotations in student turns;
+ *                     "Repeated Errors" lists those seen more than once this
+ *                     session or in an earlier one
+ * The Vocabulary and Errors columns keep the raw sets for later comparisons.
+ * A single tab keeps the roster spreadsheet from growing a tab per student;
+ * a filter view on Student ID shows one student's sessions by class date.
+ * Columns are found by header, and missing ones are added to older tabs.
+ *
+ * Turns look like "Speaker: text", optionally with a timestamp before the
+ * speaker or after it in brackets ("[00:01:05] Teacher: ...", "**Maria
+ * (01:05):** ..."); lines without a speaker continue the previous turn.
+ * The student is the speaker labelled Student/Estudiante or matching the
+ * roster name, first name or an alias; the teacher is labelled Teacher,
+ * Profesor(a), Maestro(a), Tutor or one of TEACHER_NAMES. With one side
+ * unidentified, a single remaining speaker is taken to be that side.
+ */
+
+const PROGRESS_SHEET_NAME = "Progress";
+const PROGRESS_HEADERS = [
+  "Student ID", "Student Name", "Class Date", "Transcript File ID", "Transcript Name",
+  "Student Talk %", "Talk Basis", "Student Turns", "Teacher Turns", "Student Words", "Words per Turn",
+  "Unique Words", "New Words", "New Words Sample", "Error Markers", "Repeated Errors",
+  "Analyzed At", "Vocabulary", "Errors"
+];
+const PROGRESS_SCHEMA = PROGRESS_HEADERS.reduce((schema, header) => {
+  schema[header] = { header };
+  return schema;
+}, {});
+
+const TEACHER_SPEAKER_LABELS = ["teacher", "profesor", "profesora", "maestro", "maestra", "tutor", "instructor"];
+const STUDENT_SPEAKER_LABELS = ["student", "estudiante", "alumno", "alumna"];
+const ERROR_MARKER_PATTERN = /\[(?:error|err|correction|correccion|corrección)\s*:\s*([^\]]+)\]/gi;
+const NEW_WORDS_SAMPLE_SIZE = 15;
+
+/**
+ * Loads the Progress tab (creating it if needed) with each student's earlier
+ * sessions: { sheet, cols, byTranscriptId, sessionsByStudent }.
+ */
+function loadProgressSheet_(rosterSS) {
+  const sheet = rosterSS.getSheetByName(PROGRESS_SHEET_NAME) || rosterSS.insertSheet(PROGRESS_SHEET_NAME);
+  if (sheet.getLastRow() === 0) {
+    sheet.appendRow(PROGRESS_HEADERS);
+    Services.sheets.flush();
+  } else {
+    addMissingHeaders_(sheet, PROGRESS_SCHEMA);
+  }
+
+  const values = sheet.getDataRange().getValues();
+  const cols = resolveColumns_(values[0], PROGRESS_SCHEMA);
+
+  const byTranscriptId = new Map();
+  const sessionsByStudent = new Map();
+  const splitList = value => String(value || "").split(/\s*,\s*/).filter(Boolean);
+  for (let r = 1; r < values.length; r++) {
+    const get = name => (cols[name] ? values[r][cols[name] - 1] : "");
+    const studentId = String(get("Student ID")).trim();
+    const transcriptId = String(get("Transcript File ID")).trim();
+    if (!studentId || !transcriptId) continue;
+    const session = {
+      rowIndex   : r + 1,
+      classDate  : formatClassDate_(get("Class Date")),
+      vocabulary : new Set(splitList(get("Vocabulary"))),
+      errors     : splitList(get("Errors"))
+    };
+    byTranscriptId.set(transcriptId, session);
+    if (!sessionsByStudent.has(studentId)) sessionsByStudent.set(studentId, []);
+    sessionsByStudent.get(studentId).push(session);
+  }
+  return { sheet, cols, byTranscriptId, sessionsByStudent };
+}
+
+/**
+ * "01:05", "1:02:03" -> seconds, or null.
+ */
+function parseTranscriptTimestamp_(text) {
+  const match = String(text || "").match(/(\d{1,2}):(\d{2})(?::(\d{2}))?/);
+  if (!match) return null;
+  return match[3] !== undefined
+    ? Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3])
+    : Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Splits transcript text into [{ speaker, seconds, text }] turns.
+ */
+function parseTranscriptTurns_(text) {
+  const turns = [];
+  const timestampPrefix = /^[\[(]?(\d{1,2}:\d{2}(?::\d{2})?)[\])]?\s*[-–]?\s*/;
+  String(text || "").split(/\r?\n/).forEach(rawLine => {
+    let line = rawLine.replace(/\*\*/g, "").trim();
+    if (!line) return;
+
+    let seconds = null;
+    const prefix = line.match(timestampPrefix);
+    if (prefix) {
+      seconds = parseTranscriptTimestamp_(prefix[1]);
+      line = line.slice(prefix[0].length);
+    }
+    const match = line.match(/^([^:\[\]]{1,40}?)\s*(?:[\[(](\d{1,2}:\d{2}(?::\d{2})?)[\])])?\s*:\s*(.*)$/);
+    if (match && /[^\d\s]/.test(match[1])) {
+      if (match[2]) seconds = parseTranscriptTimestamp_(match[2]);
+      turns.push({ speaker: match[1].trim(), seconds, text: match[3] });
+    } else if (turns.length > 0) {
+      turns[turns.length - 1].text += ` ${line}`;
+    }
+  });
+  return turns;
+}
+
+/**
+ * Maps each speaker label to "student", "teacher" or "other".
+ */
+function classifyTranscriptSpeakers_(turns, student) {
+  const teacherKeys = TEACHER_SPEAKER_LABELS.concat(getConfig_().TEACHER_NAMES).map(normalizeNameKey_);
+  const studentKeys = STUDENT_SPEAKER_LABELS.concat([student.Name], String(student.Aliases || "").split(/[,;]/))
+    .map(normalizeNameKey_).filter(Boolean);
+  const studentFirstName = normalizeNameKey_(student.Name).split(" ")[0];
+
+  const roles = new Map();
+  turns.forEach(turn => {
+    if (roles.has(turn.speaker)) return;
+    const key = normalizeNameKey_(turn.speaker);
+    if (studentKeys.indexOf(key) !== -1 || (studentFirstName && key.split(" ")[0] === studentFirstName)) {
+      roles.set(turn.speaker, "student");
+    } else if (teacherKeys.indexOf(key) !== -1) {
+      roles.set(turn.speaker, "teacher");
+    } else {
+      roles.set(turn.speaker, "other");
+    }
+  });
+
+  const found = Array.from(roles.values());
+  const others = Array.from(roles.keys()).filter(speaker => roles.get(speaker) === "other");
+  if (others.length === 1) {
+    if (found.indexOf("student") === -1) roles.set(others[0], "student");
+    else if (found.indexOf("teacher") === -1) roles.set(others[0], "teacher");
+  }
+  return roles;
+}
+
+function transcriptWords_(text) {
+  return (String(text).replace(ERROR_MARKER_PATTERN, " ").toLowerCase().match(/[\p{L}']+/gu) || [])
+    .map(word => word.replace(/^'+|'+$/g, ""))
+    .filter(Boolean);
+}
+
+/**
+ * Computes session metrics from transcript text. `earlierSessions` are the
+ * student's previous Progress sessions ({ vocabulary: Set, errors: [] }).
+ * Returns null when no student turns can be identified.
+ */
+function computeTranscriptMetrics_(text, student, earlierSessions) {
+  const turns = parseTranscriptTurns_(text);
+  const roles = classifyTranscriptSpeakers_(turns, student);
+  const studentTurns = turns.filter(turn => roles.get(turn.speaker) === "student");
+  const teacherTurns = turns.filter(turn => roles.get(turn.speaker) === "teacher");
+  if (studentTurns.length === 0) return null;
+
+  // Talk time from timestamps when every turn has one, else from word counts
+  const timed = turns.every(turn => turn.seconds !== null);
+  const talk = { student: 0, teacher: 0 };
+  turns.forEach((turn, i) => {
+    const role = roles.get(turn.speaker);
+    if (role !== "student" && role !== "teacher") return;
+    if (timed) {
+      if (i + 1 < turns.length) talk[role] += Math.max(turns[i + 1].seconds - turn.seconds, 0);
+    } else {
+      talk[role] += transcriptWords_(turn.text).length;
+    }
+  });
+  const talkTotal = talk.student + talk.teacher;
+
+  const studentWords = [];
+  const errors = [];
+  studentTurns.forEach(turn => {
+    transcriptWords_(turn.text).forEach(word => studentWords.push(word));
+    let marker;
+    ERROR_MARKER_PATTERN.lastIndex = 0;
+    while ((marker = ERROR_MARKER_PATTERN.exec(turn.text)) !== null) {
+      errors.push(marker[1].trim().toLowerCase().replace(/,/g, ";"));
+    }
+  });
+
+  const vocabulary = new Set(studentWords);
+  const earlierVocabulary = new Set();
+  const earlierErrors = new Set();
+  (earlierSessions || []).forEach(session => {
+    session.vocabulary.forEach(word => earlierVocabulary.add(word));
+    session.errors.forEach(error => earlierErrors.add(error));
+  });
+  const newWords = Array.from(vocabulary).filter(word => !earlierVocabulary.has(word));
+  const repeatedErrors = Array.from(new Set(errors.filter((error, i) =>
+    earlierErrors.has(error) || errors.indexOf(error) !== i)));
+
+  return {
+    studentTalkPercent : talkTotal > 0 ? Math.round(talk.student / talkTotal * 1000) / 10 : "",
+    talkBasis          : timed ? "time" : "words",
+    studentTurns       : studentTurns.length,
+    teacherTurns       : teacherTurns.length,
+    studentWords       : studentWords.length,
+    wordsPerTurn       : Math.round(studentWords.length / studentTurns.length * 10) / 10,
+    uniqueWords        : vocabulary.size,
+    newWords           : (earlierSessions || []).length > 0 ? newWords : [],
+    errors,
+    repeatedErrors,
+    vocabulary
+  };
+}
+
+/**
+ * Analyses one transcript file and writes (or rewrites) its Progress row.
+ * Failures are logged and never stop the transcript scan.
+ */
+function recordTranscriptMetrics_(progress, student, transcriptFile, classDate) {
+  const transcriptId = transcriptFile.getId();
+  try {
+    const studentId = student.Student_ID;
+    const earlier = (progress.sessionsByStudent.get(studentId) || [])
+      .filter(session => session.classDate < classDate);
+    const metrics = computeTranscriptMetrics_(transcriptFile.getBlob().getDataAsString(), student, earlier);
+    if (!metrics) {
+      logInfo_(`No student turns identified in "${transcriptFile.getName()}"; skipped.`, { fileId: transcriptId });
+      return;
+    }
+
+    const fields = {
+      "Student ID": studentId, "Student Name": student.Name, "Class Date": classDate,
+      "Transcript File ID": transcriptId, "Transcript Name": transcriptFile.getName(),
+      "Student Talk %": metrics.studentTalkPercent, "Talk Basis": metrics.talkBasis,
+      "Student Turns": metrics.studentTurns, "Teacher Turns": metrics.teacherTurns,
+      "Student Words": metrics.studentWords, "Words per Turn": metrics.wordsPerTurn,
+      "Unique Words": metrics.uniqueWords, "New Words": earlier.length > 0 ? metrics.newWords.length : "",
+      "New Words Sample": metrics.newWords.slice(0, NEW_WORDS_SAMPLE_SIZE).join(", "),
+      "Error Markers": metrics.errors.length, "Repeated Errors": metrics.repeatedErrors.join(", "),
+      "Analyzed At": new Date(),
+      "Vocabulary": Array.from(metrics.vocabulary).sort().join(","), "Errors": metrics.errors.join(",")
+    };
+    const existing = progress.byTranscriptId.get(transcriptId);
+    const rowValues = existing
+      ? progress.sheet.getRange(existing.rowIndex, 1, 1, progress.sheet.getLastColumn()).getValues()[0]
+      : new Array(progress.sheet.getLastColumn()).fill("");
+    Object.keys(fields).forEach(name => { if (progress.cols[name]) rowValues[progress.cols[name] - 1] = fields[name]; });
+
+    let rowIndex;
+    if (existing) {
+      rowIndex = existing.rowIndex;
+      progress.sheet.getRange(rowIndex, 1, 1, rowValues.length).setValues([rowValues]);
+    } else {
+      progress.sheet.appendRow(rowValues);
+      rowIndex = progress.sheet.getLastRow();
+    }
+
+    const session = { rowIndex, classDate, vocabulary: metrics.vocabulary, errors: metrics.errors };
+    progress.byTranscriptId.set(transcriptId, session);
+    if (!progress.sessionsByStudent.has(studentId)) progress.sessionsByStudent.set(studentId, []);
+    const sessions = progress.sessionsByStudent.get(studentId);
+    if (existing) sessions.splice(sessions.indexOf(existing), 1);
+    sessions.push(session);
+    logInfo_(`${student.Name} ${classDate}: ${metrics.studentTalkPercent}% student talk, ${metrics.uniqueWords} unique word(s), ${metrics.errors.length} error marker(s).`, { fileId: transcriptId });
+  } catch (e) {
+    logError_("Could not analyse transcript.", { fileId: transcriptId, error: e });
+  }
+}
@@ -0,0 +1,62 @@
+/**
+ * ======================================================================
+ * WEB APP ENTRY POINTS
+ * ======================================================================
+ * Deployed as a web app so Cloud Run can report job progress back to the
+ * script and the homework portal can record opens and submissions.
+ * POST bodies are JSON; the handler is chosen by the `action` query
+ * parameter or body field (defaults to "job_event"). Cloud Run job events
+ * must be signed with REQUEST_SIGNING_SECRET and are rejected while it is
+ * unset (see CloudRunAuth.js).
+ * GET requests serve the teacher dashboard (doGet in Dashboard.js).
+ */
+
+function doPost(e) {
+  beginLogRun_("doPost");
+  try {
+    return handlePostRequest_(e);
+  } finally {
+    finishLogRun_("doPost");
+  }
+}
+
+function handlePostRequest_(e) {
+  let payload;
+  try {
+    payload = JSON.parse((e && e.postData && e.postData.contents) || "{}");
+  } catch (parseError) {
+    logWarn_("Rejected request with invalid JSON.", { error: parseError });
+    return jsonResponse_({ ok: false, error: "Invalid JSON body." });
+  }
+
+  const action = (e && e.parameter && e.parameter.action) || payload.action || "job_event";
+  if (!loadConfigOrLog_(`doPost ${action}`)) return jsonResponse_({ ok: false, error: "Service is not configured." });
+  try {
+    switch (action) {
+      case "job_event": {
+        const rejection = verifySignedCallback_(e);
+        if (rejection) {
+          logWarn_(`Rejected job_event: ${rejection}`, { fileId: payload.fileId });
+          return jsonResponse_({ ok: false, error: "Invalid request signature." });
+        }
+        return jsonResponse_(handleJobEvent_(payload));
+      }
+      case "homework_open":
+        return jsonResponse_(handleHomeworkOpen_(payload));
+      case "homework_submit":
+        return jsonResponse_(handleHomeworkSubmit_(payload));
+      default:
+        return jsonResponse_({ ok: false, error: `Unknown action "${action}".` });
+    }
+  } catch (err) {
+    logError_(`Error handling "${action}".`, { error: err });
+    return jsonResponse_({ ok: false, error: "Internal error." });
+  }
+}
+
+/**
+ * Serializes a response object as a JSON ContentService output.
+ */
+function jsonResponse_(obj) {
+  return ContentService.createTextOutput(JSON.stringify(obj)).setMimeType(ContentService.MimeType.JSON);
+}
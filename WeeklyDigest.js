@@ -0,0 +1,340 @@
+/**
+ * ======================================================================
+ * WEEKLY TEACHER DIGEST
+ * ======================================================================
+ * sendWeeklyDigest_() runs on the Monday trigger setup() installs. It summarises
+ * the last 7 days from the Jobs, homework ledger and Needs_Review sheets:
+ *   - one row per Current_Students student: recordings received and their
+ *     transcription status, homework assigned and submitted, homework still
+ *     open after the last reminder (overdue) and homework that expired
+ *     unsubmitted this week (skipped)
+ *   - jobs that failed this week or have been stuck in flight for more than
+ *     STUCK_JOB_HOURS, and recordings waiting for teacher review
+ * The result replaces the "Weekly_Report" tab of the tracking spreadsheet and
+ * is emailed to WEEKLY_DIGEST_RECIPIENTS (default ADMIN_EMAIL). Each
+ * Teacher_Email in Monitored_Folders (see MonitoredFolders.js) not on that
+ * list also gets the digest, narrowed to the students, jobs and reviews
+ * from their folders. Teacher digests do not link to the Weekly_Report tab,
+ * which covers every teacher's students.
+ *
+ * A recording counts for the week its Jobs row was last updated.
+ */
+
+const WEEKLY_REPORT_SHEET_NAME = "Weekly_Report";
+const DIGEST_WINDOW_DAYS = 7;
+const STUCK_JOB_HOURS = 12;
+
+const JOB_FAILED_STATUSES = ["cloudrun_error", "dead_letter", "transcription_failed"];
+const JOB_STUCK_STATUSES = ["sending_to_cloudrun", "accepted", "transcribing", "processing_transcription"];
+
+const DIGEST_STUDENT_HEADERS = [
+  "Student", "Student ID", "Teacher", "Recordings", "Transcribed", "In Progress", "Failed",
+  "HW Assigned", "HW Submitted", "Overdue", "Skipped", "Notes"
+];
+const DIGEST_JOB_HEADERS = ["File Name", "Student", "Status", "Last Update", "Attempts", "Error"];
+const DIGEST_REVIEW_HEADERS = ["Original File Name", "Detected Name", "Class Date", "Reason", "Queued"];
+
+function formatDateTime_(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (!value || isNaN(date.getTime())) return "";
+  return Utilities.formatDate(date, Session.getScriptTimeZone(), "yyyy-MM-dd HH:mm");
+}
+
+/**
+ * Collects the digest for the DIGEST_WINDOW_DAYS ending at `now`:
+ * { periodStart, periodEnd, students, attention, reviews, totals }. Students,
+ * jobs and reviews carry the teacher email(s) of their monitored folders.
+ */
+function buildWeeklyDigest_(now) {
+  const config = getConfig_();
+  const periodEnd = now || new Date();
+  const periodStart = new Date(periodEnd.getTime() - DIGEST_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const inWindow = value => {
+    const time = new Date(value).getTime();
+    return !!value && time >= periodStart.getTime() && time <= periodEnd.getTime();
+  };
+
+  const students = readRoster_().students;
+  const rows = new Map();
+  const byId = new Map();
+  const byName = new Map();
+  const rowFor = (name, id) => {
+    const key = id || `name:${normalizeNameKey_(name)}`;
+    if (!rows.has(key)) {
+      rows.set(key, {
+        name, id, teachers: [], recordings: 0, transcribed: 0, inProgress: 0, failed: 0,
+        assigned: 0, submitted: 0, overdue: [], skipped: []
+      });
+    }
+    return rows.get(key);
+  };
+  students.forEach(student => {
+    const row = rowFor(student.Name, student.Student_ID);
+    if (student.Student_ID) byId.set(student.Student_ID, row);
+    byName.set(normalizeNameKey_(student.Name), row);
+    if (student.Email) byName.set(student.Email.toLowerCase(), row);
+  });
+  const lookupRow = (id, name, email) =>
+    byId.get(String(id || "").trim()) ||
+    byName.get(String(email || "").trim().toLowerCase()) ||
+    byName.get(normalizeNameKey_(name));
+  const findRow = (id, name, email) =>
+    lookupRow(id, name, email) || rowFor(String(name || "").trim() || "(unknown student)", "");
+
+  // Recordings and jobs
+  const trackingSS = Services.sheets.openById(config.TRACKING_SHEET_ID);
+  const jobsSheet = getJobsSheet_(trackingSS);
+  const jobCols = getJobsColumns_(jobsSheet);
+  const jobValues = jobsSheet.getDataRange().getValues();
+  const stuckBefore = periodEnd.getTime() - STUCK_JOB_HOURS * 60 * 60 * 1000;
+  const attention = [];
+  for (let r = 1; r < jobValues.length; r++) {
+    const get = name => (jobCols[name] ? jobValues[r][jobCols[name] - 1] : "");
+    const status = String(get("Status")).trim();
+    const updated = get("Timestamp");
+    const isFailed = JOB_FAILED_STATUSES.indexOf(status) !== -1;
+    const isStuck = JOB_STUCK_STATUSES.indexOf(status) !== -1 && new Date(updated).getTime() < stuckBefore;
+    const teacherEmail = String(get("Teacher Email") || "").trim().toLowerCase();
+
+    const known = lookupRow(get("Student ID"), get("Student Name"));
+    if (known && teacherEmail && known.teachers.indexOf(teacherEmail) === -1) known.teachers.push(teacherEmail);
+    if (inWindow(updated)) {
+      const row = known || findRow(get("Student ID"), get("Student Name"));
+      if (teacherEmail && row.teachers.indexOf(teacherEmail) === -1) row.teachers.push(teacherEmail);
+      row.recordings++;
+      if (status === "transcript_written") row.transcribed++;
+      else if (isFailed) row.failed++;
+      else row.inProgress++;
+    }
+    if ((isFailed && inWindow(updated)) || isStuck) {
+      attention.push({
+        fileName: String(get("File Name")), student: String(get("Student Name") || ""),
+        status: isStuck ? `${status} (stuck)` : status, updated: formatDateTime_(updated),
+        attempts: get("Attempts"), error: String(get("Error") || ""), teacherEmail
+      });
+    }
+  }
+
+  // Homework
+  const lastReminderDay = config.HOMEWORK_REMINDER_DAYS[config.HOMEWORK_REMINDER_DAYS.length - 1];
+  const dayMs = 24 * 60 * 60 * 1000;
+  readLedgerEntries_(openLedger_()).forEach(entry => {
+    const row = findRow(entry.Student_ID, entry.Student_Name, entry.Student_Email);
+    const status = String(entry.Status).trim();
+    const created = new Date(entry.Created_At);
+    if (inWindow(entry.Created_At)) row.assigned++;
+    if (entry.Completed_At && inWindow(entry.Completed_At)) row.submitted++;
+    if (entry.Completed_At || isNaN(created.getTime()) || (status !== "Active" && status !== "Expired")) return;
+
+    const expiresAt = new Date(created.getTime() + config.HOMEWORK_TOKEN_TTL_DAYS * dayMs);
+    if (status === "Expired" || expiresAt.getTime() <= periodEnd.getTime()) {
+      if (inWindow(expiresAt)) row.skipped.push(String(entry.HW_ID));
+    } else if ((periodEnd.getTime() - created.getTime()) / dayMs >= lastReminderDay) {
+      row.overdue.push(String(entry.HW_ID));
+    }
+  });
+
+  // Recordings waiting for review
+  let sources = [];
+  try {
+    sources = loadMonitoredFolders_();
+  } catch (e) {
+    logWarn_("Monitored folders unavailable; reviews are not assigned to teachers.", { error: e });
+  }
+  const review = loadReviewQueue_(trackingSS);
+  const reviewValues = review.sheet.getDataRange().getValues();
+  const reviews = [];
+  for (let r = 1; r < reviewValues.length; r++) {
+    const get = name => (review.cols[name] ? reviewValues[r][review.cols[name] - 1] : "");
+    if (String(get("Status")).trim() !== "pending") continue;
+    reviews.push({
+      fileName: String(get("Original File Name")), detectedName: String(get("Detected Name") || ""),
+      classDate: formatClassDate_(get("Class Date")), reason: String(get("Reason") || ""),
+      queued: formatDateTime_(get("Timestamp")),
+      teacherEmail: sources.length ? findMonitoredFolder_(sources, get("Source Folder ID")).teacherEmail.toLowerCase() : ""
+    });
+  }
+
+  const studentRows = Array.from(rows.values()).map(row => {
+    const notes = [];
+    if (row.recordings === 0) notes.push("no recordings this week");
+    if (row.failed > 0) notes.push(`${row.failed} recording(s) failed`);
+    if (row.overdue.length > 0) notes.push(`overdue: ${row.overdue.join(", ")}`);
+    if (row.skipped.length > 0) notes.push(`skipped: ${row.skipped.join(", ")}`);
+    return Object.assign(row, { notes: notes.join("; ") });
+  });
+
+  return { periodStart, periodEnd, students: studentRows, attention, reviews, totals: digestTotals_(studentRows) };
+}
+
+function digestTotals_(studentRows) {
+  const sum = field => studentRows.reduce((total, row) => total + (Array.isArray(row[field]) ? row[field].length : row[field]), 0);
+  return {
+    recordings: sum("recordings"), transcribed: sum("transcribed"), assigned: sum("assigned"),
+    submitted: sum("submitted"), overdue: sum("overdue"), skipped: sum("skipped")
+  };
+}
+
+/**
+ * The part of a digest that concerns one teacher's monitored folders.
+ */
+function digestForTeacher_(digest, teacherEmail) {
+  const email = teacherEmail.toLowerCase();
+  const students = digest.students.filter(row => row.teachers.indexOf(email) !== -1);
+  return Object.assign({}, digest, {
+    teacherEmail: email,
+    students,
+    attention: digest.attention.filter(job => job.teacherEmail === email),
+    reviews: digest.reviews.filter(item => item.teacherEmail === email),
+    totals: digestTotals_(students)
+  });
+}
+
+function digestStudentValues_(row) {
+  return [
+    row.name, row.id, row.teachers.join(", "), row.recordings, row.transcribed, row.inProgress, row.failed,
+    row.assigned, row.submitted, row.overdue.length, row.skipped.length, row.notes
+  ];
+}
+
+function digestJobValues_(job) {
+  return [job.fileName, job.student, job.status, job.updated, job.attempts, job.error];
+}
+
+function digestReviewValues_(item) {
+  return [item.fileName, item.detectedName, item.classDate, item.reason, item.queued];
+}
+
+function digestPeriodLabel_(digest) {
+  const tz = Session.getScriptTimeZone();
+  return `${Utilities.formatDate(digest.periodStart, tz, "yyyy-MM-dd")} to ${Utilities.formatDate(digest.periodEnd, tz, "yyyy-MM-dd")}`;
+}
+
+function digestSummaryLine_(digest) {
+  const t = digest.totals;
+  return `${t.recordings} recording(s), ${t.transcribed} transcribed; ${t.assigned} homework assigned, ` +
+    `${t.submitted} submitted, ${t.overdue} overdue, ${t.skipped} skipped; ` +
+    `${digest.attention.length} job(s) and ${digest.reviews.length} recording(s) need attention.`;
+}
+
+/**
+ * Replaces the Weekly_Report tab of the tracking spreadsheet with the digest.
+ */
+function writeWeeklyReport_(digest) {
+  const ss = Services.sheets.openById(getConfig_().TRACKING_SHEET_ID);
+  const sheet = ss.getSheetByName(WEEKLY_REPORT_SHEET_NAME) || ss.insertSheet(WEEKLY_REPORT_SHEET_NAME);
+  const rows = [
+    ["Weekly report", digestPeriodLabel_(digest), "Generated", new Date()],
+    [digestSummaryLine_(digest)],
+    [],
+    ["Students"], DIGEST_STUDENT_HEADERS
+  ].concat(digest.students.map(digestStudentValues_));
+  rows.push([], ["Jobs needing attention"], DIGEST_JOB_HEADERS);
+  digest.attention.forEach(job => rows.push(digestJobValues_(job)));
+  if (digest.attention.length === 0) rows.push(["None"]);
+  rows.push([], ["Recordings waiting for review"], DIGEST_REVIEW_HEADERS);
+  digest.reviews.forEach(item => rows.push(digestReviewValues_(item)));
+  if (digest.reviews.length === 0) rows.push(["None"]);
+
+  const width = rows.reduce((max, row) => Math.max(max, row.length), 1);
+  const padded = rows.map(row => row.concat(new Array(width - row.length).fill("")));
+  sheet.clear();
+  sheet.getRange(1, 1, padded.length, width).setValues(padded);
+  Services.sheets.flush();
+  return sheet;
+}
+
+function digestHtmlTable_(headers, rows) {
+  const cell = (tag, value) => `<${tag} style="border:1px solid #dadce0;padding:4px 8px;text-align:left;">${escapeHtml_(value)}</${tag}>`;
+  if (rows.length === 0) return "<p>None.</p>";
+  return `<table style="border-collapse:collapse;font-size:13px;">` +
+    `<tr style="background:#f1f3f4;">${headers.map(h => cell("th", h)).join("")}</tr>` +
+    rows.map(row => `<tr>${row.map(v => cell("td", v)).join("")}</tr>`).join("") +
+    `</table>`;
+}
+
+/**
+ * Emails the digest as HTML with a plain-text fallback, linking to
+ * `reportUrl` when one is given.
+ */
+function emailWeeklyDigest_(digest, recipients, reportUrl) {
+  const period = digestPeriodLabel_(digest);
+  const needsAttention = digest.students.filter(row => row.notes);
+  const textLines = [
+    `EduScribe weekly report, ${period}`, "", digestSummaryLine_(digest), "", "Students:"
+  ].concat(needsAttention.map(row => `- ${row.name}: ${row.notes}`));
+  textLines.push("", "Jobs needing attention:");
+  digest.attention.forEach(job => textLines.push(`- ${job.fileName} (${job.status}, ${job.updated}): ${job.error}`));
+  if (digest.attention.length === 0) textLines.push("- none");
+  textLines.push("", "Recordings waiting for review:");
+  digest.reviews.forEach(item => textLines.push(`- ${item.fileName}: ${item.reason}`));
+  if (digest.reviews.length === 0) textLines.push("- none");
+  if (reportUrl) textLines.push("", `Full report: ${reportUrl}`);
+
+  const htmlBody = `<div style="font-family:Arial,Helvetica,sans-serif;font-size:14px;color:#202124;">` +
+    `<h2 style="font-size:18px;">EduScribe weekly report, ${escapeHtml_(period)}</h2>` +
+    `<p>${escapeHtml_(digestSummaryLine_(digest))}</p>` +
+    `<h3 style="font-size:15px;">Students</h3>${digestHtmlTable_(DIGEST_STUDENT_HEADERS, digest.students.map(digestStudentValues_))}` +
+    `<h3 style="font-size:15px;">Jobs needing attention</h3>${digestHtmlTable_(DIGEST_JOB_HEADERS, digest.attention.map(digestJobValues_))}` +
+    `<h3 style="font-size:15px;">Recordings waiting for review</h3>${digestHtmlTable_(DIGEST_REVIEW_HEADERS, digest.reviews.map(digestReviewValues_))}` +
+    (reportUrl ? `<p><a href="${escapeHtml_(reportUrl)}">Open the Weekly_Report tab</a></p>` : "") + "</div>";
+
+  Services.mail.sendEmail({
+    to: recipients,
+    subject: `[EduScribe] Weekly report ${period}`,
+    body: `${textLines.join("\n")}\n`,
+    htmlBody
+  });
+}
+
+function sendWeeklyDigest_() {
+  beginLogRun_("sendWeeklyDigest");
+  try {
+    runWeeklyDigest_();
+  } catch (e) {
+    logError_("An unexpected error occurred.", { error: e });
+    throw e;
+  } finally {
+    finishLogRun_("sendWeeklyDigest");
+  }
+}
+
+function runWeeklyDigest_() {
+  logInfo_("Building weekly digest...");
+  const config = loadConfigOrLog_("sendWeeklyDigest");
+  if (!config) return;
+
+  const digest = buildWeeklyDigest_(new Date());
+  const sheet = writeWeeklyReport_(digest);
+  logInfo_(`"${WEEKLY_REPORT_SHEET_NAME}" updated: ${digestSummaryLine_(digest)}`);
+
+  const reportUrl = `${sheet.getParent().getUrl()}#gid=${sheet.getSheetId()}`;
+  const recipients = config.WEEKLY_DIGEST_RECIPIENTS || config.ADMIN_EMAIL;
+  if (recipients) {
+    try {
+      emailWeeklyDigest_(digest, recipients, reportUrl);
+      logInfo_(`Weekly digest sent to ${recipients}.`);
+    } catch (e) {
+      logError_("Could not send the weekly digest.", { error: e });
+    }
+  } else {
+    logWarn_("WEEKLY_DIGEST_RECIPIENTS and ADMIN_EMAIL are not set. The full digest was not emailed.");
+  }
+
+  const fullRecipients = String(recipients || "").toLowerCase().split(",");
+  let teacherEmails = [];
+  try {
+    teacherEmails = loadMonitoredFolders_().map(source => source.teacherEmail.toLowerCase());
+  } catch (e) {
+    logWarn_("Monitored folders unavailable; no teacher digests sent.", { error: e });
+  }
+  Array.from(new Set(teacherEmails)).filter(email => email && fullRecipients.indexOf(email) === -1).forEach(email => {
+    const teacherDigest = digestForTeacher_(digest, email);
+    try {
+      emailWeeklyDigest_(teacherDigest, email, null);
+      logInfo_(`Teacher digest sent to ${email}: ${digestSummaryLine_(teacherDigest)}`);
+    } catch (e) {
+      logError_(`Could not send the teacher digest to ${email}.`, { error: e });
+    }
+  });
+}